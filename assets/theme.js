@@ -810,11 +810,22 @@
     }, 200));
 
   })();
+  /*
+    Saves the order note, and any [data-cart-note] cart attribute fields, as the shopper types.
+    Shows a saving/saved/failed status, retries failed saves and holds checkout until saved.
+   */
   theme.cartNoteMonitor = {
     load: function ($notes) {
-      $notes.on('change.themeCartNoteMonitor paste.themeCartNoteMonitor keyup.themeCartNoteMonitor', function () {
-        theme.cartNoteMonitor.postUpdate($(this).val());
+      $notes.off('.themeCartNoteMonitor').
+      on('input.themeCartNoteMonitor change.themeCartNoteMonitor paste.themeCartNoteMonitor', function () {
+        theme.cartNoteMonitor.updateCounter(this);
+        theme.cartNoteMonitor.postUpdate($(this).val(), this);
+      }).
+      each(function () {
+        theme.cartNoteMonitor.updateCounter(this);
       });
+
+      theme.cartNoteMonitor.bindDocumentEvents();
     },
 
     unload: function ($notes) {
@@ -823,14 +834,146 @@
 
     updateThrottleTimeoutId: -1,
     updateThrottleInterval: 500,
+    retryLimit: 3,
+    retryInterval: 1000,
+    pendingValues: {},
+    savePromise: null,
+
+    // 'note' for the order note, otherwise the cart attribute name
+    getKey: function (field) {
+      const match = field && field.name.match(/^attributes\[(.+)\]$/);
+      return match ? match[1] : 'note';
+    },
+
+    postUpdate: function (val, field) {
+      const key = theme.cartNoteMonitor.getKey(field);
+      theme.cartNoteMonitor.pendingValues[key] = val;
+      theme.cartNoteMonitor.setStatus(key, 'saving');
+
+      // Keep other copies of the field, e.g. in the cart drawer, in step
+      document.querySelectorAll('[data-cart-note]').forEach((el) => {
+        if (el !== field && theme.cartNoteMonitor.getKey(el) === key) {
+          el.value = val;
+          theme.cartNoteMonitor.updateCounter(el);
+        }
+      });
 
-    postUpdate: function (val) {
       clearTimeout(theme.cartNoteMonitor.updateThrottleTimeoutId);
       theme.cartNoteMonitor.updateThrottleTimeoutId = setTimeout(function () {
-        $.post(theme.routes.cart_url + '/update.js', {
-          note: val
-        }, function (data) {}, 'json');
+        theme.cartNoteMonitor.flush().catch(() => {});
       }, theme.cartNoteMonitor.updateThrottleInterval);
+    },
+
+    // Sends any unsaved values now. Resolves once everything entered so far is saved
+    flush: function () {
+      clearTimeout(theme.cartNoteMonitor.updateThrottleTimeoutId);
+
+      const values = theme.cartNoteMonitor.pendingValues;
+      const keys = Object.keys(values);
+      if (keys.length === 0) {
+        return theme.cartNoteMonitor.savePromise || Promise.resolve();
+      }
+      theme.cartNoteMonitor.pendingValues = {};
+
+      const params = {};
+      keys.forEach((key) => {
+        if (key === 'note') {
+          params.note = values[key];
+        } else {
+          params.attributes = params.attributes || {};
+          params.attributes[key] = values[key];
+        }
+      });
+
+      const save = theme.cartNoteMonitor.send(params, 0).
+      then(() => {
+        keys.forEach((key) => {
+          if (typeof theme.cartNoteMonitor.pendingValues[key] === 'undefined') {
+            theme.cartNoteMonitor.setStatus(key, 'saved');
+          }
+        });
+      }, (error) => {
+        // Put the values back, unless they've been edited since, so the next save includes them
+        keys.forEach((key) => {
+          if (typeof theme.cartNoteMonitor.pendingValues[key] === 'undefined') {
+            theme.cartNoteMonitor.pendingValues[key] = values[key];
+            theme.cartNoteMonitor.setStatus(key, 'failed');
+          }
+        });
+        throw error;
+      });
+
+      theme.cartNoteMonitor.savePromise = save;
+      save.catch(() => {}).then(() => {
+        if (theme.cartNoteMonitor.savePromise === save) {
+          theme.cartNoteMonitor.savePromise = null;
+        }
+      });
+      return save;
+    },
+
+    send: function (params, attempt) {
+      return theme.cart.update(params).catch((error) => {
+        if (attempt >= theme.cartNoteMonitor.retryLimit) {
+          throw error;
+        }
+        return new Promise((resolve) => setTimeout(resolve, theme.cartNoteMonitor.retryInterval * Math.pow(2, attempt))).
+        then(() => theme.cartNoteMonitor.send(params, attempt + 1));
+      });
+    },
+
+    isPending: function () {
+      return Object.keys(theme.cartNoteMonitor.pendingValues).length > 0 || !!theme.cartNoteMonitor.savePromise;
+    },
+
+    setStatus: function (key, status) {
+      document.querySelectorAll('[data-cart-note-status]').forEach((el) => {
+        if (el.dataset.cartNoteStatus !== key) return;
+
+        el.className = `cart-note__status cart-note__status--${status}`;
+        if (status === 'saving') {
+          el.textContent = theme.strings.noteSaving;
+        } else if (status === 'saved') {
+          el.textContent = theme.strings.noteSaved;
+        } else {
+          el.textContent = `${theme.strings.noteFailed} `;
+          const retryButton = document.createElement('button');
+          retryButton.type = 'button';
+          retryButton.className = 'textbutton cart-note__retry';
+          retryButton.textContent = theme.strings.noteRetry;
+          el.appendChild(retryButton);
+        }
+      });
+    },
+
+    updateCounter: function (field) {
+      const counter = field.closest('.cart-note') ? field.closest('.cart-note').querySelector('[data-cart-note-counter]') : null;
+      if (counter && field.maxLength > 0) {
+        counter.textContent = `${field.value.length}/${field.maxLength}`;
+        counter.classList.toggle('cart-note__counter--limit', field.value.length >= field.maxLength);
+      }
+    },
+
+    bindDocumentEvents: function () {
+      if (theme.cartNoteMonitor.documentEventsBound) return;
+      theme.cartNoteMonitor.documentEventsBound = true;
+
+      $(document).on('click.themeCartNoteMonitor', '.cart-note__retry', function () {
+        theme.cartNoteMonitor.flush().catch(() => {});
+      });
+
+      // Hold checkout until notes are saved
+      theme.checkoutGate.register(() => {
+        if (!theme.cartNoteMonitor.isPending()) return Promise.resolve(true);
+
+        return theme.cartNoteMonitor.flush().then(() => true, () => {
+          const failedStatus = document.querySelector('.cart-note__status--failed .cart-note__retry');
+          if (failedStatus) {
+            failedStatus.focus();
+          }
+          return false;
+        });
+      });
     }
   };
   // Source: https://davidwalsh.name/javascript-debounce-function
@@ -2871,185 +3014,3145 @@
   }
   ;
 
-  /*================ Components ================*/
-  const CartForm = class extends HTMLElement {
-    connectedCallback() {
-      theme.cartNoteMonitor.load($('[name="note"]', this));
-      this.enableAjaxUpdate = this.dataset.ajaxUpdate;
+  /*================ Cart ================*/
+  /*
+    Owns the cart JSON and serialises every request to the Ajax cart API, so concurrent
+    callers never race each other. All requests resolve with the full cart payload.
+
+      theme.cart.get()                        current cart (fetched once if not yet known)
+      theme.cart.refresh()                    re-fetch, e.g. after an app modified the cart
+      theme.cart.add(formData | items)        resolves with { cart, items }
+      theme.cart.addAll(items)                adds what it can, resolves with the failures
+      theme.cart.change({ id, quantity })       id may be a variant id or a line item key
+      theme.cart.update({ updates, note, attributes, discount })
+      theme.cart.clear()
+      theme.cart.reportError(action, error)   dispatches cart:error for a failure elsewhere
+
+    change and update also accept Shopify's sections/sections_url params; the rendered
+    markup comes back on cart.sections.
+
+    Events, dispatched on document:
+      cart:updated     { cart, action }           after every successful request
+      cart:item-added  { cart, items }            after an add, before cart:updated
+      cart:error       { cart, action, error }    after a failed request
+
+    Subscribe with theme.cart.on(theme.cart.events.updated, (detail) => {}), which returns
+    an unsubscribe function. theme:cartchanged is still dispatched alongside cart:updated.
+
+    Changes are announced to the store's other open tabs (BroadcastChannel, or storage events
+    where that's missing). A tab whose cart differs re-fetches it, with the action 'sync', once
+    it's visible.
+   */
+  theme.cart = new function () {
+    const _ = this;
+
+    _.events = {
+      updated: 'cart:updated',
+      itemAdded: 'cart:item-added',
+      error: 'cart:error'
+    };
+
+    _.state = null;
+    _._queue = Promise.resolve();
+
+    _.on = function (eventName, callback) {
+      const listener = (evt) => callback(evt.detail, evt);
+      document.addEventListener(eventName, listener);
+      return () => document.removeEventListener(eventName, listener);
+    };
+
+    // A summary of everything that affects how the cart lines render
+    _.getSignature = function (cart) {
+      return [
+      cart.item_count,
+      cart.total_price,
+      cart.items.map((item) => `${item.key}:${item.quantity}:${item.final_line_price}`).join(','),
+      cart.cart_level_discount_applications ? cart.cart_level_discount_applications.length : 0,
+      cart.discount_codes ? cart.discount_codes.map((discountCode) => discountCode.code).join(',') : ''].
+      join('|');
+    };
+
+    _.get = function () {
+      if (_.state) {
+        return Promise.resolve(_.state);
+      }
+      return _._enqueue(() => _._fetchCart().then((cart) => {
+        _.state = cart;
+        return cart;
+      }));
+    };
+
+    _.refresh = function () {
+      return _._mutate('refresh', () => _._fetchCart());
+    };
+
+    _.add = function (items) {
+      return _._enqueue(() => {
+        const options = {
+          method: 'POST',
+          headers: { 'Accept': 'application/json' }
+        };
+
+        if (items instanceof FormData) {
+          options.body = items;
+        } else {
+          options.headers['Content-Type'] = 'application/json';
+          options.body = JSON.stringify(Array.isArray(items) ? { items } : items);
+        }
+
+        return _._request(theme.routes.cart_add_url + '.js', options).
+        then((added) => {
+          const addedItems = added.items ? added.items : [added];
+          return _._fetchCart().then((cart) => {
+            _.state = cart;
+            _._emit(_.events.itemAdded, { cart, items: addedItems });
+            _._emitUpdated(cart, 'add');
+            return { cart, items: addedItems };
+          });
+        });
+      }).
+      catch((error) => _._handleError('add', error));
+    };
+
+    // Shopify rejects the whole request if one line can't be added, so on failure each item is
+    // retried alone. Resolves with [{ index, item, error }] for the items that still failed
+    _.addAll = function (items) {
+      return _.add(items).then(() => [], (error) => {
+        if (!error.status) throw error;
+
+        return items.reduce((promise, item, index) => promise.then((failures) => {
+          return _.add([item]).then(() => failures, (itemError) => {
+            if (!itemError.status) throw itemError;
+            return failures.concat({ index, item, error: itemError });
+          });
+        }), Promise.resolve([]));
+      });
+    };
+
+    _.change = function (params) {
+      return _._mutate('change', () => _._post(theme.routes.cart_change_url + '.js', params));
+    };
+
+    _.update = function (params) {
+      return _._mutate('update', () => _._post(theme.routes.cart_update_url, params));
+    };
+
+    _.clear = function () {
+      return _._mutate('clear', () => _._post(theme.routes.cart_url + '/clear.js', {}));
+    };
+
+    // Helpers
+    _._enqueue = function (task) {
+      const result = _._queue.then(task);
+      _._queue = result.catch(() => {});
+      return result;
+    };
+
+    _._mutate = function (action, request) {
+      return _._enqueue(() => request().then((cart) => {
+        _.state = cart;
+        _._emitUpdated(cart, action);
+        return cart;
+      })).
+      catch((error) => _._handleError(action, error));
+    };
+
+    // For failures outside the cart API that still leave the cart out of date, e.g. a section render
+    _.reportError = function (action, error) {
+      _._emit(_.events.error, { cart: _.state, action, error });
+    };
+
+    _._handleError = function (action, error) {
+      _.reportError(action, error);
+      throw error;
+    };
+
+    _._fetchCart = function () {
+      return _._request(theme.routes.cart_url + '.js', {
+        headers: { 'Accept': 'application/json' }
+      });
+    };
+
+    _._post = function (url, params) {
+      return _._request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify(params)
+      });
+    };
+
+    // Rejects with an Error carrying the status and Shopify's description on non-2xx responses
+    _._request = function (url, options) {
+      return fetch(url, options).then((response) => {
+        return response.text().then((text) => {
+          let data = null;
+          try {
+            data = text ? JSON.parse(text) : null;
+          } catch (e) {
+            data = null;
+          }
+
+          if (!response.ok) {
+            const error = new Error(data && (data.description || data.message) || `HTTP error! Status: ${response.status}`);
+            error.status = response.status;
+            error.description = data ? data.description : null;
+            error.errors = data ? data.errors : null;
+            error.response = data;
+            throw error;
+          }
+
+          return data;
+        });
+      });
+    };
+
+    _._emit = function (eventName, detail) {
+      document.dispatchEvent(
+      new CustomEvent(eventName, { bubbles: true, cancelable: false, detail }));
+
+    };
+
+    _._emitUpdated = function (cart, action) {
+      _._emit(_.events.updated, { cart, action });
+      _._emit('theme:cartchanged', { cart, action });
+
+      // A sync only catches up with another tab, so there's nothing new to announce
+      if (action !== 'sync') {
+        _._broadcast(cart);
+      }
+    };
+
+    // Cross-tab sync
+    _._syncName = 'cc-cart-sync';
+    _._syncChannel = 'BroadcastChannel' in window ? new BroadcastChannel(_._syncName) : null;
+    _._syncPending = false;
+
+    // Covers what the cart renders from, including the note and attributes
+    _._getSyncKey = function (cart) {
+      return `${_.getSignature(cart)}|${cart.note || ''}|${JSON.stringify(cart.attributes || {})}`;
+    };
+
+    _._broadcast = function (cart) {
+      // The time keeps each message unique, as storage events only fire when the value changes
+      const message = { key: _._getSyncKey(cart), time: Date.now() };
+      if (_._syncChannel) {
+        _._syncChannel.postMessage(message);
+      } else {
+        LocalStorageUtil.set(_._syncName, message);
+      }
+    };
+
+    _._handleSyncMessage = function (message) {
+      if (!message || _.state && _._getSyncKey(_.state) === message.key) return;
+
+      if (document.hidden) {
+        _._syncPending = true;
+      } else {
+        _._sync();
+      }
+    };
+
+    _._sync = function () {
+      _._syncPending = false;
+      _._mutate('sync', () => _._fetchCart()).catch(() => {});
+    };
+
+    if (_._syncChannel) {
+      _._syncChannel.addEventListener('message', (evt) => _._handleSyncMessage(evt.data));
+    } else {
+      window.addEventListener('storage', (evt) => {
+        if (evt.key !== _._syncName || !evt.newValue) return;
+        try {
+          _._handleSyncMessage(JSON.parse(evt.newValue));
+        } catch (e) {
+          // Not a message from this theme
+        }
+      });
+    }
+
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden && _._syncPending) {
+        _._sync();
+      }
+    });
+
+    // Keep the header cart count in step with the cart
+    _.on(_.events.updated, (detail) => {
+      document.querySelectorAll('[data-cart-count]').forEach((el) => {
+        el.textContent = detail.cart.item_count;
+      });
+      document.querySelectorAll('[data-cart-count-text]').forEach((el) => {
+        el.textContent = detail.cart.item_count > 0 ? `(${detail.cart.item_count})` : '';
+      });
+    });
+  }();
+  ;
+
+  /*
+    The "save for later" list, persisted with LocalStorageUtil so it survives between visits.
+    Each entry keeps what's needed to show it and move it back to the cart:
+
+      { variantId, quantity, properties, handle, title, variantTitle, image, url, price, available }
+
+    theme:savedforlaterchanged is dispatched on document whenever the list changes.
+   */
+  theme.savedForLater = new function () {
+    const _ = this;
+
+    _.storageKey = 'cc-saved-for-later';
+    _.changedEvent = 'theme:savedforlaterchanged';
+
+    _.get = function () {
+      try {
+        return LocalStorageUtil.get(_.storageKey, true) || [];
+      } catch (e) {
+        return [];
+      }
+    };
+
+    _.set = function (entries) {
+      LocalStorageUtil.set(_.storageKey, entries);
+      document.dispatchEvent(new CustomEvent(_.changedEvent, { bubbles: true, detail: { entries } }));
+    };
+
+    // The same variant saved with different properties, e.g. engraving, is a separate entry
+    _.getEntryId = function (entry) {
+      return `${entry.variantId}:${JSON.stringify(entry.properties || {})}`;
+    };
+
+    _.addLineItem = function (lineItem, quantity) {
+      const entries = _.get();
+      const entry = {
+        variantId: lineItem.variant_id,
+        quantity: quantity || lineItem.quantity,
+        properties: lineItem.properties || {},
+        handle: lineItem.handle,
+        title: lineItem.product_title,
+        variantTitle: lineItem.product_has_only_default_variant ? null : lineItem.variant_title,
+        image: lineItem.image,
+        url: lineItem.url,
+        price: lineItem.final_price,
+        available: true
+      };
+      const existing = entries.find((savedEntry) => _.getEntryId(savedEntry) === _.getEntryId(entry));
+
+      if (existing) {
+        existing.quantity += entry.quantity;
+      } else {
+        entries.unshift(entry);
+      }
+      _.set(entries);
+    };
+
+    _.remove = function (entryId) {
+      _.set(_.get().filter((entry) => _.getEntryId(entry) !== entryId));
+    };
+  }();
+  ;
+
+  /*
+    The quote list, for products which are quoted rather than sold directly (tagged with
+    settings.quote_tag, or with the custom.request_quote metafield). Their product forms add here
+    instead of the cart. Persisted with LocalStorageUtil, entries are:
+
+      { variantId, quantity, properties, handle, title, variantTitle, sku, image, url, price }
+
+    theme:quotechanged is dispatched on document whenever the list changes, in this tab or another.
+   */
+  theme.quote = new function () {
+    const _ = this;
+
+    _.storageKey = 'cc-quote';
+    _.changedEvent = 'theme:quotechanged';
+
+    _.get = function () {
+      try {
+        return LocalStorageUtil.get(_.storageKey, true) || [];
+      } catch (e) {
+        return [];
+      }
+    };
+
+    _.set = function (entries) {
+      LocalStorageUtil.set(_.storageKey, entries);
+      _._emitChanged(entries);
+    };
+
+    _.getEntryId = function (entry) {
+      return `${entry.variantId}:${JSON.stringify(entry.properties || {})}`;
+    };
+
+    _.getCount = function (entries) {
+      return (entries || _.get()).reduce((count, entry) => count + entry.quantity, 0);
+    };
+
+    _.add = function (entry) {
+      const entries = _.get();
+      const existing = entries.find((quoteEntry) => _.getEntryId(quoteEntry) === _.getEntryId(entry));
+
+      if (existing) {
+        existing.quantity += entry.quantity;
+      } else {
+        entries.push(entry);
+      }
+      _.set(entries);
+    };
+
+    _.setQuantity = function (entryId, quantity) {
+      const entries = _.get();
+      const entry = entries.find((quoteEntry) => _.getEntryId(quoteEntry) === entryId);
+      if (entry) {
+        entry.quantity = quantity;
+        _.set(entries);
+      }
+    };
+
+    _.remove = function (entryId) {
+      _.set(_.get().filter((entry) => _.getEntryId(entry) !== entryId));
+    };
+
+    _.clear = function () {
+      _.set([]);
+    };
+
+    // Reads the variant, quantity and line item properties from a product form
+    _.getEntryFromForm = function (form) {
+      const formData = new FormData(form);
+      const productId = form.closest('[data-product-id]').dataset.productId;
+      const product = theme.OptionManager.getProductData(null, productId);
+      const variantId = parseInt(formData.get('id'));
+      const variant = product.variants.find((productVariant) => productVariant.id === variantId);
+      if (!variant) return null;
+
+      const properties = {};
+      for (const [key, value] of formData) {
+        if (key.indexOf('properties[') === 0 && typeof value === 'string' && value) {
+          properties[key.slice(11, -1)] = value;
+        }
+      }
+
+      return {
+        variantId,
+        quantity: Math.max(parseInt(formData.get('quantity')) || 1, 1),
+        properties,
+        handle: product.handle,
+        title: product.title,
+        variantTitle: variant.public_title || null,
+        sku: variant.sku || null,
+        image: variant.featured_image ? variant.featured_image.src : product.featured_image,
+        url: `${window.Shopify.routes.root}products/${product.handle}?variant=${variantId}`,
+        price: variant.price
+      };
+    };
+
+    _._emitChanged = function (entries) {
+      document.dispatchEvent(new CustomEvent(_.changedEvent, { bubbles: true, detail: { entries } }));
+    };
+
+    // Captured, so it runs before the add to cart handlers
+    document.addEventListener('submit', (evt) => {
+      const form = evt.target.closest('.product-purchase-form--quote');
+      if (!form) return;
+
+      evt.preventDefault();
+      evt.stopImmediatePropagation();
+
+      const entry = _.getEntryFromForm(form);
+      if (!entry) return;
+      _.add(entry);
+
+      const $btn = $(form).find('[type=submit]');
+      $btn.data('originalHtml', $btn.html()).attr('disabled', 'disabled').addClass('confirmation').
+      html(`${theme.icons.tick} ${theme.strings.quoteAdded}`);
+      setTimeout(() => {
+        $btn.removeAttr('disabled').removeClass('confirmation').html($btn.data('originalHtml'));
+      }, 4000);
+    }, true);
+
+    // Changes made in other tabs
+    window.addEventListener('storage', (evt) => {
+      if (evt.key === _.storageKey) {
+        _._emitChanged(_.get());
+      }
+    });
+
+    // Keep the header quote count in step with the list
+    const updateCount = () => {
+      const count = _.getCount();
+      document.querySelectorAll('[data-quote-count]').forEach((el) => {
+        el.textContent = count;
+        el.hidden = count === 0;
+      });
+      document.querySelectorAll('[data-quote-count-text]').forEach((el) => {
+        el.textContent = count > 0 ? `(${count})` : '';
+      });
+    };
+
+    document.addEventListener(_.changedEvent, updateCount);
+    updateCount();
+  }();
+  ;
+
+  /*
+    Shareable cart links. The cart's lines are packed into one URL parameter, as base64url
+    encoded JSON of [[variantId, quantity, properties?], ...]:
+
+      /cart?shared_cart=W1sxMjMsMl1d
+
+    Properties starting with an underscore are private to the store, so are left out.
+   */
+  theme.sharedCart = new function () {
+    const _ = this;
+
+    _.paramName = 'shared_cart';
+
+    _.encode = function (items) {
+      const lines = items.map((item) => {
+        const properties = {};
+        Object.keys(item.properties || {}).forEach((key) => {
+          if (key.charAt(0) !== '_' && item.properties[key]) {
+            properties[key] = item.properties[key];
+          }
+        });
+        return Object.keys(properties).length ? [item.variant_id, item.quantity, properties] : [item.variant_id, item.quantity];
+      });
+
+      let binary = '';
+      new TextEncoder().encode(JSON.stringify(lines)).forEach((byte) => {
+        binary += String.fromCharCode(byte);
+      });
+      return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    };
+
+    // Returns items in the format expected by theme.cart.add, or an empty array if the value is unreadable
+    _.decode = function (value) {
+      try {
+        const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+        const lines = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0))));
+
+        return lines.
+        filter((line) => Array.isArray(line) && parseInt(line[0]) > 0 && parseInt(line[1]) > 0).
+        map((line) => ({
+          id: parseInt(line[0]),
+          quantity: parseInt(line[1]),
+          properties: line[2] && typeof line[2] === 'object' ? line[2] : {}
+        }));
+      } catch (e) {
+        return [];
+      }
+    };
+
+    _.getUrl = function (cart) {
+      return `${window.location.origin}${theme.routes.cart_url}?${_.paramName}=${_.encode(cart.items)}`;
+    };
+
+    // Run on page load, adds the items from a shared cart link
+    _.handleLink = function () {
+      const value = theme.getUrlParameter(_.paramName);
+      if (!value) return;
+
+      // Drop the parameter, so refreshing the page doesn't add the items again
+      const url = new URL(window.location.href);
+      url.searchParams.delete(_.paramName);
+      window.history.replaceState(window.history.state, '', url.toString());
+
+      const items = _.decode(value);
+      if (items.length === 0) {
+        _.showMessage(theme.strings.sharedCartInvalid);
+        return;
+      }
+
+      theme.cart.get().then((cart) => {
+        if (cart.item_count === 0) {
+          _.addItems(items, false);
+          return;
+        }
+
+        _.showModal([
+        `<p>${theme.strings.sharedCartPrompt}</p>`,
+        '<p class="links">',
+        `<button type="button" class="button alt" data-shared-cart-action="replace">${theme.strings.sharedCartReplace}</button>`,
+        `<button type="button" class="button" data-shared-cart-action="merge">${theme.strings.sharedCartMerge}</button>`,
+        '</p>'].
+        join(''), ($modal) => {
+          $modal.on('click', '[data-shared-cart-action]', function () {
+            $modal.find('[data-shared-cart-action]').attr('disabled', 'disabled');
+            _.addItems(items, $(this).data('shared-cart-action') === 'replace');
+          });
+        });
+      });
+    };
+
+    _.addItems = function (items, replace) {
+      return (replace ? theme.cart.clear() : Promise.resolve()).
+      then(() => theme.cart.addAll(items)).
+      then((results) => {
+        if (results.length) {
+          const failures = results.map((result) => result.error.description || result.error.message);
+          const list = failures.
+          filter((failure, index) => failures.indexOf(failure) === index).
+          map((failure) => `<li>${$('<div>').text(failure).html()}</li>`).
+          join('');
+          _.showMessage(theme.strings.sharedCartUnavailable, `<ul class="shared-cart-failures">${list}</ul>`);
+        } else if (document.body.getAttribute('data-modal-id') === 'shared-cart') {
+          window.closeThemeModal();
+        }
+      }).
+      catch(() => {
+        _.showMessage(theme.strings.sharedCartInvalid);
+      });
+    };
+
+    _.showMessage = function (message, extraHtml) {
+      _.showModal(`<p>${message}</p>${extraHtml || ''}`);
+    };
+
+    _.showModal = function (contentHtml, callbackFn) {
+      let offset = 25;
+      const nav = theme.Nav();
+      if (nav.bar.getPositionSetting() !== "inline") {
+        offset = nav.bar.height();
+      }
+
+      showThemeModal([
+      '<div id="shared-cart" class="theme-modal theme-modal--small temp" role="dialog" aria-modal="true" aria-labelledby="shared-cart-title">',
+      `<div class="inner" style="top:${offset}px">`,
+      '<a href="#" data-modal-close class="modal-close">&times;</a>',
+      `<h4 id="shared-cart-title">${theme.strings.sharedCartTitle}</h4>`,
+      contentHtml,
+      '</div>',
+      '</div>'].
+      join(''), 'shared-cart', callbackFn);
+    };
+  }();
+  ;
+
+  /*
+    Holds every checkout button until the checks features register have passed. A check is given the
+    button and returns a promise of true to let checkout go ahead, or false once it has shown the
+    shopper why not. Checks run one at a time in the order registered, stopping at the first false,
+    and the click is repeated when all have passed.
+
+      theme.checkoutGate.register((button) => Promise.resolve(true))
+   */
+  theme.checkoutGate = new function () {
+    const _ = this;
+
+    _.selector = [
+    '[name="checkout"]',
+    '.additional-checkout-buttons :is(button, input[type="submit"], input[type="image"])',
+    '[data-cc-checkout-button]',
+    'a[href$="/checkout"]'].
+    join(', ');
+    _.checks = [];
+    _.passedButton = null;
+
+    _.register = function (check) {
+      _.checks.push(check);
+    };
+
+    _.run = function (button) {
+      return _.checks.reduce((result, check) => {
+        return result.then((passed) => passed && check(button));
+      }, Promise.resolve(true));
+    };
+
+    // Captured, so it runs before any other checkout handler
+    document.addEventListener('click', (evt) => {
+      const button = evt.target.closest(_.selector);
+      if (!button || _.checks.length === 0) return;
+
+      // The repeated click, once every check has passed
+      if (button === _.passedButton) return;
+
+      evt.preventDefault();
+      evt.stopImmediatePropagation();
+      if (button.classList.contains('checkout-gate-pending')) return;
+
+      button.classList.add('checkout-gate-pending');
+      _.run(button).catch(() => false).then((passed) => {
+        button.classList.remove('checkout-gate-pending');
+        if (passed) {
+          _.passedButton = button;
+          button.click();
+          _.passedButton = null;
+        }
+      });
+    }, true);
+  }();
+  ;
+
+  /*
+    Blocks checkout until the terms and conditions checkbox (snippets/cart-terms.liquid) is ticked.
+    Covers any checkout button sharing a [data-terms-scope] element with the checkbox: the cart page,
+    the cart drawer and the added-to-cart popup. Acceptance is stored as a cart attribute.
+   */
+  theme.termsGate = new function () {
+    const _ = this;
+
+    _.attributeName = 'Terms accepted';
+    _.pendingSave = null;
+
+    _.getCheckbox = function (el) {
+      const scope = el.closest('[data-terms-scope]');
+      return scope ? scope.querySelector('[data-cart-terms-checkbox]') : null;
+    };
+
+    _.showError = function (checkbox) {
+      const error = document.getElementById(checkbox.getAttribute('aria-describedby'));
+      checkbox.setAttribute('aria-invalid', 'true');
+      if (error) {
+        // Set the text each time so it's announced again on repeat attempts
+        error.textContent = '';
+        error.hidden = false;
+        setTimeout(() => {
+          error.textContent = theme.strings.cartConfirmation;
+        }, 50);
+      }
+      checkbox.focus();
+    };
+
+    _.hideError = function (checkbox) {
+      const error = document.getElementById(checkbox.getAttribute('aria-describedby'));
+      checkbox.removeAttribute('aria-invalid');
+      if (error) {
+        error.hidden = true;
+        error.textContent = '';
+      }
+    };
+
+    _.save = function (accepted) {
+      const attributes = {};
+      attributes[_.attributeName] = accepted ? new Date().toISOString() : '';
+
+      const save = theme.cart.update({ attributes }).catch(() => {});
+      _.pendingSave = save;
+      save.then(() => {
+        if (_.pendingSave === save) {
+          _.pendingSave = null;
+        }
+      });
+      return save;
+    };
+
+    theme.checkoutGate.register((button) => {
+      const checkbox = _.getCheckbox(button);
+      if (!checkbox) return Promise.resolve(true);
+
+      if (!checkbox.checked) {
+        _.showError(checkbox);
+        return Promise.resolve(false);
+      }
+
+      // Let the acceptance reach the cart before leaving for checkout
+      return (_.pendingSave || Promise.resolve()).then(() => true);
+    });
+
+    document.addEventListener('change', (evt) => {
+      if (!evt.target.matches('[data-cart-terms-checkbox]')) return;
+
+      const checkbox = evt.target;
+      if (checkbox.checked) {
+        _.hideError(checkbox);
+      }
+
+      // Keep every copy of the checkbox, e.g. in the drawer and on the cart page, in step
+      document.querySelectorAll('[data-cart-terms-checkbox]').forEach((el) => {
+        el.checked = checkbox.checked;
+      });
+
+      _.save(checkbox.checked);
+    });
+  }();
+  ;
+
+  /*
+    Delivery date rules from Theme settings > Cart (theme.settings.deliveryDate). Dates are handled
+    as 'YYYY-MM-DD' strings and UTC midnight Date objects, so time zones and DST don't shift them.
+    The choice is saved as the 'Delivery date' and 'Delivery slot' cart attributes.
+   */
+  theme.deliveryDate = new function () {
+    const _ = this;
+    const dayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+    _.config = theme.settings.deliveryDate;
+    _.enabled = !!_.config;
+    _.dateAttribute = 'Delivery date';
+    _.slotAttribute = 'Delivery slot';
+
+    if (!_.enabled) return;
+
+    const splitLines = (value) => (value || '').split(/\r?\n/).map((line) => line.trim()).filter((line) => line);
+
+    _.blackoutDates = splitLines(_.config.blackoutDates);
+    _.timeSlots = splitLines(_.config.timeSlots);
+    _.weekdays = (_.config.weekdays || '').
+    split(',').
+    map((day) => dayNames.indexOf(day.trim().toLowerCase().substring(0, 3))).
+    filter((day) => day > -1);
+
+    _.toKey = function (date) {
+      return date.toISOString().substring(0, 10);
+    };
+
+    _.fromKey = function (key) {
+      return /^\d{4}-\d{2}-\d{2}$/.test(key || '') ? new Date(`${key}T00:00:00Z`) : null;
+    };
+
+    _.addDays = function (date, days) {
+      return new Date(date.getTime() + days * 86400000);
+    };
+
+    // Today and the current hour in the store's time zone, e.g. utcOffset '+0100'
+    _.getStoreNow = function () {
+      const match = (_.config.utcOffset || '').match(/^([+-])(\d{2})(\d{2})$/);
+      const offsetMinutes = match ? (match[1] === '-' ? -1 : 1) * (parseInt(match[2]) * 60 + parseInt(match[3])) : 0;
+      const storeNow = new Date(Date.now() + offsetMinutes * 60000);
+      return {
+        today: new Date(Date.UTC(storeNow.getUTCFullYear(), storeNow.getUTCMonth(), storeNow.getUTCDate())),
+        hour: storeNow.getUTCHours()
+      };
+    };
+
+    _.getRange = function () {
+      const now = _.getStoreNow();
+      const leadDays = parseInt(_.config.leadDays) + (now.hour >= parseInt(_.config.cutoffHour) ? 1 : 0);
+      return {
+        first: _.addDays(now.today, leadDays),
+        last: _.addDays(now.today, parseInt(_.config.maxDays))
+      };
+    };
+
+    _.isAvailable = function (date) {
+      if (!date) return false;
+      const range = _.getRange();
+      return date >= range.first &&
+      date <= range.last && (
+      _.weekdays.length === 0 || _.weekdays.indexOf(date.getUTCDay()) > -1) &&
+      _.blackoutDates.indexOf(_.toKey(date)) === -1;
+    };
+
+    _.getFirstAvailable = function () {
+      const range = _.getRange();
+      for (let date = range.first; date <= range.last; date = _.addDays(date, 1)) {
+        if (_.isAvailable(date)) return date;
+      }
+      return null;
+    };
+
+    _.isValidSelection = function (dateKey, slot) {
+      return _.isAvailable(_.fromKey(dateKey)) && (_.timeSlots.length === 0 || _.timeSlots.indexOf(slot) > -1);
+    };
+
+    _.format = function (date, options) {
+      return new Intl.DateTimeFormat(document.documentElement.lang || undefined, Object.assign({ timeZone: 'UTC' }, options)).format(date);
+    };
+
+    // Block checkout without a valid choice
+    theme.checkoutGate.register((button) => {
+      const scope = button.closest('[data-terms-scope]');
+      const picker = scope ? scope.querySelector('delivery-date-picker') : null;
+
+      if (picker) {
+        if (!picker.isValid()) {
+          picker.showError();
+          return Promise.resolve(false);
+        }
+        return (picker.savePromise || Promise.resolve()).then(() => true, () => false);
+      }
+
+      // Elsewhere, e.g. in the cart drawer, check the saved choice and send the shopper to the cart page to make one
+      return theme.cart.get().then((cart) => {
+        if (_.isValidSelection(cart.attributes[_.dateAttribute], cart.attributes[_.slotAttribute])) return true;
+
+        window.location = `${theme.routes.cart_url}#delivery-date`;
+        return false;
+      });
+    });
+  }();
+  ;
+
+  /*
+    Gift wrapping from Theme settings > Cart (theme.settings.giftWrap). While the wrap variant is in the
+    cart its quantity follows the other lines, one per order or one per item, and it's removed along with
+    the 'Gift message' cart attribute once nothing is left to wrap.
+   */
+  theme.giftWrap = new function () {
+    const _ = this;
+
+    _.config = theme.settings.giftWrap;
+    _.enabled = !!_.config;
+    _.messageAttribute = 'Gift message';
+
+    if (!_.enabled) return;
+
+    _.isWrapLine = function (item) {
+      return item.variant_id === _.config.variantId;
+    };
+
+    _.getWrapQuantity = function (cart) {
+      return cart.items.filter(_.isWrapLine).reduce((total, item) => total + item.quantity, 0);
+    };
+
+    _.getRequiredQuantity = function (cart) {
+      const items = cart.items.filter((item) => !_.isWrapLine(item));
+      if (items.length === 0) return 0;
+      return _.config.quantity === 'item' ? items.reduce((total, item) => total + item.quantity, 0) : 1;
+    };
+
+    _.getUpdateParams = function (quantity) {
+      const params = { updates: {} };
+      params.updates[_.config.variantId] = quantity;
+      if (quantity === 0) {
+        params.attributes = {};
+        params.attributes[_.messageAttribute] = '';
+      }
+      return params;
+    };
+
+    // Adds or removes the wrap. Extra params, e.g. sections to render, are sent with the update
+    _.set = function (wrapped, extraParams) {
+      return theme.cart.get().then((cart) => {
+        const quantity = wrapped ? _.getRequiredQuantity(cart) : 0;
+        return theme.cart.update(Object.assign(_.getUpdateParams(quantity), extraParams));
+      });
+    };
+
+    _.reconcile = function (cart) {
+      if (_.reconciling) return;
+
+      const quantity = _.getWrapQuantity(cart);
+      const requiredQuantity = _.getRequiredQuantity(cart);
+      if (quantity === 0 || quantity === requiredQuantity) return;
+
+      _.reconciling = true;
+      theme.cart.update(_.getUpdateParams(requiredQuantity)).
+      catch(() => {}).
+      then(() => {
+        _.reconciling = false;
+      });
+    };
+
+    document.addEventListener('theme:cartchanged', (evt) => {
+      if (evt.detail && evt.detail.cart) {
+        _.reconcile(evt.detail.cart);
+      }
+    });
+  }();
+  ;
+
+  /*
+    Sets added as several lines sharing a _bundle_id line item property, optionally named by _bundle_title.
+    The cart shows each bundle as one row and changes all its lines in a single update. A bundle's quantity
+    is the greatest common divisor of its lines' quantities, so each line keeps its share of the set.
+   */
+  theme.cartBundles = new function () {
+    const _ = this;
+
+    _.idProperty = '_bundle_id';
+    _.titleProperty = '_bundle_title';
+    _.keyPrefix = 'bundle:';
+
+    const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
+
+    _.getBundleId = function (item) {
+      return item.properties && item.properties[_.idProperty] ? String(item.properties[_.idProperty]) : null;
+    };
+
+    // The bundle id from a cart row's data-key, or null for ordinary lines
+    _.getIdFromKey = function (key) {
+      return key.indexOf(_.keyPrefix) === 0 ? key.substring(_.keyPrefix.length) : null;
+    };
+
+    _.get = function (cart, bundleId) {
+      const lines = cart.items.filter((item) => _.getBundleId(item) === bundleId);
+      if (lines.length === 0) return null;
+
+      const quantity = lines.reduce((result, item) => gcd(result, item.quantity), 0);
+      const linePrice = lines.reduce((total, item) => total + item.final_line_price, 0);
+
+      return {
+        id: bundleId,
+        title: lines[0].properties[_.titleProperty] || lines[0].product_title,
+        image: lines[0].image,
+        lines,
+        quantity,
+        linePrice,
+        price: Math.round(linePrice / quantity)
+      };
+    };
+
+    // Updates for every line in the bundle, for the /cart/update.js 'updates' param
+    _.getUpdates = function (cart, bundleId, quantity) {
+      const bundle = _.get(cart, bundleId);
+      const updates = {};
+      if (bundle) {
+        bundle.lines.forEach((line) => {
+          updates[line.key] = line.quantity / bundle.quantity * quantity;
+        });
+      }
+      return updates;
+    };
+  }();
+  ;
+
+  /*
+    Minimum, maximum and increment quantity rules, rendered by snippets/quantity-rule.liquid as
+    data-quantity-* attributes on quantity inputs, and per variant as [data-quantity-rules] JSON in
+    product forms. Quantities are moved to the nearest allowed value, with the reason shown inline.
+   */
+  theme.quantityRules = new function () {
+    const _ = this;
+
+    _.getRule = function (input) {
+      const rule = {
+        min: parseInt(input.dataset.quantityMin) || 1,
+        max: parseInt(input.dataset.quantityMax) || null,
+        increment: parseInt(input.dataset.quantityIncrement) || 1
+      };
+
+      // Stock limits on cart lines use the max attribute
+      if (input.max && (!rule.max || parseInt(input.max) < rule.max)) {
+        rule.max = parseInt(input.max);
+      }
+      return rule;
+    };
+
+    _.setRule = function (input, rule) {
+      input.dataset.quantityMin = rule.min;
+      input.dataset.quantityIncrement = rule.increment;
+      if (rule.max) {
+        input.dataset.quantityMax = rule.max;
+      } else {
+        delete input.dataset.quantityMax;
+      }
+      input.step = rule.increment;
+    };
+
+    // The nearest allowed quantity. 0 is left alone, as it removes a cart line
+    _.normalise = function (quantity, rule) {
+      if (isNaN(quantity) || quantity <= 0) return 0;
+
+      let allowed = Math.max(Math.round(quantity / rule.increment) * rule.increment, rule.min);
+      if (allowed % rule.increment !== 0) {
+        allowed = Math.ceil(allowed / rule.increment) * rule.increment;
+      }
+      if (rule.max && allowed > rule.max) {
+        allowed = Math.max(Math.floor(rule.max / rule.increment) * rule.increment, rule.min);
+      }
+      return allowed;
+    };
+
+    // Why a quantity isn't allowed, or null if it is
+    _.getMessage = function (quantity, rule) {
+      if (quantity <= 0) return null;
+      if (quantity < rule.min) {
+        return theme.strings.quantityRuleMin.replace('[[ min ]]', rule.min);
+      }
+      if (rule.max && quantity > rule.max) {
+        return theme.strings.quantityRuleMax.replace('[[ max ]]', rule.max);
+      }
+      if (quantity % rule.increment !== 0) {
+        return theme.strings.quantityRuleIncrement.replace('[[ increment ]]', rule.increment);
+      }
+      return null;
+    };
+
+    // Product forms: apply the variant's rule, and keep typed quantities within it
+    const showFormMessage = function (form, message) {
+      const errorContainer = form ? form.querySelector('.error-message') : null;
+      if (errorContainer) {
+        // Hidden until needed, like add to cart errors
+        errorContainer.textContent = message || '';
+        $(errorContainer).toggle(!!message);
+      }
+    };
+
+    _.adjustFormQuantity = function (input, quantity) {
+      const rule = _.getRule(input);
+      const allowed = Math.max(_.normalise(quantity, rule), rule.min);
+      showFormMessage(input.form, quantity === allowed ? null : _.getMessage(quantity, rule));
+      input.value = allowed;
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+
+    $(document).on('variantChanged', (evt, variant) => {
+      const rulesScript = evt.target.querySelector('[data-quantity-rules]');
+      if (!rulesScript || !variant) return;
+
+      if (!rulesScript.rules) {
+        rulesScript.rules = JSON.parse(rulesScript.textContent);
+      }
+
+      const rule = rulesScript.rules[variant.id];
+      if (!rule) return;
+
+      evt.target.querySelectorAll('input[name="quantity"]').forEach((input) => {
+        _.setRule(input, rule);
+        if (_.normalise(parseInt(input.value), rule) !== parseInt(input.value)) {
+          input.value = rule.min;
+          input.dispatchEvent(new Event('input', { bubbles: true }));
+          showFormMessage(input.form, null);
+        }
+      });
+    });
+
+    $(document).on('change', 'input[name="quantity"][data-quantity-min]', function () {
+      _.adjustFormQuantity(this, parseInt(this.value));
+    });
+  }();
+  ;
+
+  /*
+    Blocks checkout while the cart subtotal is below the minimum order value for its currency, from
+    Theme settings > Cart (theme.settings.minimumOrderValue, in cents). The cart-minimum-order element
+    shows how much more is needed.
+   */
+  theme.minimumOrder = new function () {
+    const _ = this;
+
+    _.minimum = theme.settings.minimumOrderValue;
+    _.enabled = !!_.minimum;
+
+    if (!_.enabled) return;
+
+    _.isMet = function (cart) {
+      return cart.item_count === 0 || cart.total_price >= _.minimum;
+    };
+
+    theme.checkoutGate.register((button) => {
+      return theme.cart.get().then((cart) => {
+        if (_.isMet(cart)) return true;
+
+        const scope = button.closest('[data-terms-scope]');
+        const message = scope ? scope.querySelector('cart-minimum-order') : null;
+        if (message) {
+          message.showError();
+        } else {
+          window.location = theme.routes.cart_url;
+        }
+        return false;
+      });
+    });
+  }();
+  ;
+
+  /*================ Components ================*/
+  const CartForm = class extends HTMLElement {
+    connectedCallback() {
+      theme.cartNoteMonitor.load($('[data-cart-note]', this));
+      this.enableAjaxUpdate = this.dataset.ajaxUpdate;
+
+      if (this.enableAjaxUpdate) {
+        this.sectionId = this.dataset.sectionId;
+        this.pendingUpdates = new Map();
+
+        this.boundRefresh = (evt) => {
+          const cart = evt.detail && evt.detail.cart;
+
+          if (cart) {
+            // Skip changes which don't affect the rendered lines, e.g. note updates
+            const signature = theme.cart.getSignature(cart);
+            if (signature === this.renderedSignature) return;
+            this.renderedSignature = signature;
+
+            // Use the markup rendered alongside the request, when it asked for this section
+            if (cart.sections && cart.sections[this.sectionId]) {
+              this.render(cart.sections[this.sectionId]);
+              return;
+            }
+          }
+          this.refresh();
+        };
+
+        document.addEventListener('theme:cartchanged', this.boundRefresh);
+
+        theme.addDelegateEventListener(this, 'click', '.cart-item__remove', (evt) => {
+          evt.preventDefault();
+          this.adjustItemQuantity(evt.target.closest('.cart-item'), { to: 0 });
+        });
+
+        theme.addDelegateEventListener(this, 'click', '.cart-share__button', (evt) => {
+          evt.preventDefault();
+          this.shareCart();
+        });
+
+        theme.addDelegateEventListener(this, 'click', '.cart-item__edit', (evt) => {
+          evt.preventDefault();
+          this.editItem(evt.target.closest('.cart-item'));
+        });
+
+        theme.addDelegateEventListener(this, 'click', '.cart-item__save-for-later', (evt) => {
+          evt.preventDefault();
+          this.saveItemForLater(evt.target.closest('.cart-item'));
+        });
+
+        theme.addDelegateEventListener(this, 'click', '.quantity-down', (evt) => {
+          evt.preventDefault();
+          this.adjustItemQuantity(evt.target.closest('.cart-item'), { decrease: true });
+        });
+
+        theme.addDelegateEventListener(this, 'click', '.quantity-up', (evt) => {
+          evt.preventDefault();
+          this.adjustItemQuantity(evt.target.closest('.cart-item'), { increase: true });
+        });
+
+        theme.addDelegateEventListener(this, 'change', '.cart-item__quantity-input', (evt) => {
+          this.adjustItemQuantity(evt.target.closest('.cart-item'), { currentValue: true });
+        });
+
+        theme.addDelegateEventListener(this, 'input', '.cart-discount-form__input', (evt) => {
+          this.querySelector('.cart-discount-form__apply').disabled = !evt.target.value.trim();
+          this.showDiscountError(null);
+        });
+
+        theme.addDelegateEventListener(this, 'keydown', '.cart-discount-form__input', (evt) => {
+          // Enter would otherwise submit the cart form
+          if (evt.key === 'Enter') {
+            evt.preventDefault();
+            this.applyDiscountCode();
+          }
+        });
+
+        theme.addDelegateEventListener(this, 'click', '.cart-discount-form__apply', (evt) => {
+          evt.preventDefault();
+          this.applyDiscountCode();
+        });
+
+        theme.addDelegateEventListener(this, 'click', '.cart-discount-chip__remove', (evt) => {
+          evt.preventDefault();
+          this.removeDiscountCode(evt.target.closest('[data-discount-code]').dataset.discountCode);
+        });
+      }
+    }
+
+    disconnectedCallback() {
+      theme.cartNoteMonitor.unload($('[data-cart-note]', this));
+
+      if (this.enableAjaxUpdate) {
+        document.removeEventListener('theme:cartchanged', this.boundRefresh);
+      }
+    }
+
+    refresh() {
+      this.classList.add('cart-form--refreshing');
+      fetch(`${window.Shopify.routes.root}?section_id=${this.sectionId}`).
+      then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP error! Status: ${response.status}`);
+        }
+        return response.text();
+      }).
+      then((response) => {
+        this.render(response);
+      }).
+      catch((error) => {
+        theme.cart.reportError('render', error);
+      }).
+      then(() => {
+        this.classList.remove('cart-form--refreshing');
+      });
+    }
+
+    render(html) {
+      let frag = document.createDocumentFragment(),
+        newContent = document.createElement('div');
+
+      frag.appendChild(newContent);
+      newContent.innerHTML = html;
+
+      newContent.querySelectorAll('[data-cc-animate]').forEach((el) => el.removeAttribute('data-cc-animate'));
+
+      theme.mergeNodes(newContent, this);
+
+      // Lines replaced by the merge lose any quantity still waiting to be sent
+      this.pendingUpdates.forEach((pending, key) => {
+        const item = this.getItem(key);
+        if (item) {
+          item.querySelector('.cart-item__quantity-input').value = pending.quantity;
+          this.setItemPendingState(item, pending.quantity);
+        }
+      });
+    }
+
+    getItem(key) {
+      return Array.from(this.querySelectorAll('.cart-item[data-key]')).
+      find((el) => el.dataset.key === key && !el.closest('.merge-remove-item'));
+    }
+
+    setItemPendingState(item, quantity) {
+      const mergeItem = item.closest('[data-merge-list-item]') || item;
+      mergeItem.classList.add('cart-item--pending');
+      mergeItem.classList.toggle('cart-item--removing', quantity === 0);
+    }
+
+    clearItemPendingState(item) {
+      const mergeItem = item.closest('[data-merge-list-item]') || item;
+      mergeItem.classList.remove('cart-item--pending', 'cart-item--removing');
+    }
+
+    // Changes are keyed by line item key, as line indexes shift when earlier lines are removed
+    adjustItemQuantity(item, change) {
+      const key = item.dataset.key;
+      const quantityInput = item.querySelector('.cart-item__quantity-input');
+      const rule = theme.quantityRules.getRule(quantityInput);
+      const pending = this.pendingUpdates.get(key) || { requestCount: 0 };
+      const currentQuantity = typeof pending.quantity !== 'undefined' ? pending.quantity : parseInt(quantityInput.dataset.initialValue);
+      let newQuantity = parseInt(quantityInput.value);
+
+      if (typeof change.to !== 'undefined') {
+        newQuantity = change.to;
+      } else if (change.increase) {
+        newQuantity += rule.increment;
+      } else if (change.decrease) {
+        newQuantity -= rule.increment;
+      }
+
+      if (isNaN(newQuantity) || newQuantity < 0) {
+        newQuantity = 0;
+      }
+
+      // Stepping down past the minimum removes the line, as stepping down from 1 always has
+      if (change.decrease && newQuantity < rule.min) {
+        newQuantity = 0;
+      }
+
+      const ruleMessage = theme.quantityRules.getMessage(newQuantity, rule);
+      newQuantity = theme.quantityRules.normalise(newQuantity, rule);
+
+      // Show the new quantity straight away, it's rolled back if the cart rejects it
+      quantityInput.value = newQuantity;
+      this.hideItemError(item);
+      if (ruleMessage) {
+        this.showItemError(item, ruleMessage);
+      }
+
+      if (newQuantity === currentQuantity && !this.pendingUpdates.has(key)) return;
+
+      this.setItemPendingState(item, newQuantity);
+
+      clearTimeout(pending.timeoutId);
+      pending.quantity = newQuantity;
+      pending.timeoutId = setTimeout(() => this.submitItemQuantity(key), newQuantity === 0 ? 10 : 700);
+      this.pendingUpdates.set(key, pending);
+    }
+
+    submitItemQuantity(key) {
+      const pending = this.pendingUpdates.get(key);
+      if (!pending) return;
+
+      const quantity = pending.quantity;
+      pending.timeoutId = null;
+      pending.requestCount++;
+
+      // theme.cart runs requests one at a time, in the order they were made
+      this.requestItemQuantity(key, quantity).
+      catch((error) => {
+        const item = this.getItem(key);
+        if (!error.status || !item || pending.quantity !== quantity) return;
+
+        const quantityInput = item.querySelector('.cart-item__quantity-input');
+        quantityInput.value = quantityInput.dataset.initialValue;
+        pending.quantity = parseInt(quantityInput.dataset.initialValue);
+        this.showItemError(item, error.description || error.message);
+      }).
+      finally(() => {
+        pending.requestCount--;
+
+        // Only settle once no newer change to this line is waiting or in flight
+        if (pending.requestCount === 0 && !pending.timeoutId) {
+          this.pendingUpdates.delete(key);
+
+          const item = this.getItem(key);
+          if (item) {
+            this.clearItemPendingState(item);
+          }
+        }
+      });
+    }
+
+    requestItemQuantity(key, quantity) {
+      const sectionParams = {
+        sections: this.getSectionIds(),
+        sections_url: window.location.pathname
+      };
+
+      // Every line in a bundle changes in the same request, so it can't be left part removed
+      const bundleId = theme.cartBundles.getIdFromKey(key);
+      if (bundleId) {
+        return theme.cart.get().then((cart) => theme.cart.update(Object.assign({
+          updates: theme.cartBundles.getUpdates(cart, bundleId, quantity)
+        }, sectionParams)));
+      }
+
+      return theme.cart.change(Object.assign({ id: key, quantity }, sectionParams));
+    }
+
+    editItem(item) {
+      const key = item.dataset.key;
+      const editButton = item.querySelector('.cart-item__edit');
+
+      this.hideItemError(item);
+      editButton.classList.add('cart-item__edit--loading');
+
+      Promise.all([
+      theme.cart.get(),
+      fetch(`${editButton.dataset.productUrl}.js`).then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP error! Status: ${response.status}`);
+        }
+        return response.json();
+      })]).
+      then(([cart, product]) => {
+        const line = cart.items.find((cartItem) => cartItem.key === key);
+        if (!line) return;
+
+        // Stored where theme.OptionManager looks for it, with option names as in the product JSON snippet
+        theme.productData[product.id] = Object.assign({}, product, {
+          options: product.options.map((option) => option.name || option)
+        });
+        this.showVariantEditor(line, theme.productData[product.id]);
+      }).
+      catch((error) => {
+        const currentItem = this.getItem(key);
+        if (currentItem) {
+          this.showItemError(currentItem, error.message);
+        }
+      }).
+      finally(() => {
+        editButton.classList.remove('cart-item__edit--loading');
+      });
+    }
+
+    showVariantEditor(line, product) {
+      let offset = 25;
+      const nav = theme.Nav();
+      if (nav.bar.getPositionSetting() !== "inline") {
+        offset = nav.bar.height();
+      }
+
+      showThemeModal([
+      '<div id="cart-variant-editor" class="theme-modal theme-modal--small temp" role="dialog" aria-modal="true" aria-labelledby="cart-variant-editor-title">',
+      `<div class="inner" style="top:${offset}px">`,
+      '<a href="#" data-modal-close class="modal-close">&times;</a>',
+      '<h4 id="cart-variant-editor-title"></h4>',
+      `<div class="product-area cart-variant-editor" data-product-id="${product.id}">`,
+      '<div class="price-area"></div>',
+      '<div class="product-detail__form__options"><div class="option-selectors"></div></div>',
+      '<select name="id" class="original-selector" hidden></select>',
+      '<div class="cart-variant-editor__quantity">',
+      `<label for="cart-variant-editor-quantity">${theme.strings.cartQuantity}</label>`,
+      `<input type="number" id="cart-variant-editor-quantity" min="1" value="${line.quantity}">`,
+      '</div>',
+      '<p class="cart-variant-editor__error" role="alert" hidden></p>',
+      `<button type="button" class="button cart-variant-editor__submit">${theme.strings.cartEditUpdate}</button>`,
+      '</div>',
+      '</div>',
+      '</div>'].
+      join(''), 'cart-variant-editor', ($modal) => this.initVariantEditor($modal[0], line, product));
+    }
+
+    initVariantEditor(modal, line, product) {
+      const editor = modal.querySelector('.cart-variant-editor');
+      const optionSelectors = editor.querySelector('.option-selectors');
+      const variantSelect = editor.querySelector('[name="id"]');
+      const quantityInput = editor.querySelector('#cart-variant-editor-quantity');
+      const submitButton = editor.querySelector('.cart-variant-editor__submit');
+      const error = editor.querySelector('.cart-variant-editor__error');
+      let selectedVariant = null;
+
+      modal.querySelector('#cart-variant-editor-title').textContent = product.title;
+
+      // Built with the DOM, as option values and titles aren't escaped
+      product.options.forEach((optionName, index) => {
+        const wrapper = document.createElement('div');
+        const label = document.createElement('label');
+        const select = document.createElement('select');
+
+        wrapper.className = 'selector-wrapper';
+        wrapper.dataset.optionName = optionName;
+        label.htmlFor = select.id = `cart-variant-editor-option-${index}`;
+        label.textContent = optionName;
+
+        product.variants.
+        map((variant) => variant.options[index]).
+        filter((value, valueIndex, values) => value && values.indexOf(value) === valueIndex).
+        forEach((value) => {
+          select.add(new Option(value, value, false, line.variant_options[index] === value));
+        });
+
+        wrapper.appendChild(label);
+        wrapper.appendChild(select);
+        optionSelectors.appendChild(wrapper);
+      });
+
+      product.variants.forEach((variant) => {
+        variantSelect.add(new Option(variant.title, variant.id, false, variant.id === line.variant_id));
+      });
+
+      $(editor).on('variantChanged', (evt, variant) => {
+        selectedVariant = variant;
+        submitButton.disabled = !variant || !variant.available;
+        if (!variant) {
+          submitButton.textContent = theme.strings.buttonNoVariant;
+        } else if (!variant.available) {
+          submitButton.textContent = theme.strings.buttonNoStock;
+        } else {
+          submitButton.textContent = theme.strings.cartEditUpdate;
+        }
+      });
+
+      theme.OptionManager.initProductOptions($(editor));
+      $('select:not(.original-selector)', editor).selectReplace().closest('.selector-wrapper').addClass('has-pretty-select');
+
+      submitButton.addEventListener('click', () => {
+        const quantity = parseInt(quantityInput.value);
+        if (!selectedVariant || !(quantity > 0)) return;
+
+        submitButton.disabled = true;
+        error.hidden = true;
+        editor.classList.add('cart-variant-editor--updating');
+
+        this.replaceItemVariant(line.key, selectedVariant.id, quantity).
+        then(() => {
+          closeThemeModal();
+        }).
+        catch((replaceError) => {
+          error.textContent = replaceError.description || replaceError.message;
+          error.hidden = false;
+          submitButton.disabled = false;
+          editor.classList.remove('cart-variant-editor--updating');
+        });
+      });
+    }
+
+    // Swaps a line to another variant, keeping its properties, selling plan and place in the cart
+    replaceItemVariant(key, variantId, quantity) {
+      const sectionParams = {
+        sections: this.getSectionIds(),
+        sections_url: window.location.pathname
+      };
+
+      // Any quantity change still waiting to be sent is replaced by this one
+      const pending = this.pendingUpdates.get(key);
+      if (pending) {
+        clearTimeout(pending.timeoutId);
+        this.pendingUpdates.delete(key);
+      }
+
+      return theme.cart.get().then((cart) => {
+        const index = cart.items.findIndex((item) => item.key === key);
+        const line = cart.items[index];
+        if (!line) {
+          throw new Error(theme.strings.cartEditMissing);
+        }
+
+        if (line.variant_id === variantId) {
+          return theme.cart.change(Object.assign({ id: key, quantity }, sectionParams));
+        }
+
+        const getSellingPlanId = (item) => item.selling_plan_allocation ? item.selling_plan_allocation.selling_plan.id : null;
+        const toAddItem = (item, id, itemQuantity) => {
+          const addItem = { id, quantity: itemQuantity, properties: item.properties || {} };
+          if (getSellingPlanId(item)) {
+            addItem.selling_plan = getSellingPlanId(item);
+          }
+          return addItem;
+        };
+
+        // The new variant may already have a matching line, which it can join in one update
+        const matchingLine = cart.items.find((item) => item.key !== key &&
+        item.variant_id === variantId &&
+        getSellingPlanId(item) === getSellingPlanId(line) &&
+        JSON.stringify(item.properties || {}) === JSON.stringify(line.properties || {}));
+
+        if (matchingLine) {
+          const updates = {};
+          updates[key] = 0;
+          updates[matchingLine.key] = matchingLine.quantity + quantity;
+          return theme.cart.update(Object.assign({ updates }, sectionParams));
+        }
+
+        // The top line can be swapped directly, as new lines go to the top of the cart. The new line
+        // is added before the old one is removed, so a failed add leaves the cart as it was
+        if (index === 0) {
+          return theme.cart.add([toAddItem(line, variantId, quantity)]).
+          then(() => theme.cart.change(Object.assign({ id: key, quantity: 0 }, sectionParams)));
+        }
+
+        // Otherwise the lines above this one are removed with it and added back after the new line,
+        // each add landing on top of the last. Lines below it are left alone
+        const linesAbove = cart.items.slice(0, index);
+        const readdLinesAbove = linesAbove.slice().reverse().map((item) => toAddItem(item, item.variant_id, item.quantity));
+        const updates = {};
+        linesAbove.concat(line).forEach((item) => {
+          updates[item.key] = 0;
+        });
+
+        return theme.cart.update({ updates }).
+        then(() => theme.cart.add([toAddItem(line, variantId, quantity)].concat(readdLinesAbove))).
+        catch((error) => {
+          // Put back what was removed before reporting the error
+          return theme.cart.refresh().
+          then((currentCart) => {
+            if (currentCart.items.some((item) => item.key === key)) return;
+            return theme.cart.add([toAddItem(line, line.variant_id, line.quantity)].concat(readdLinesAbove));
+          }).
+          catch(() => {}).
+          then(() => {
+            throw error;
+          });
+        });
+      });
+    }
+
+    saveItemForLater(item) {
+      const key = item.dataset.key;
+      const quantity = parseInt(item.querySelector('.cart-item__quantity-input').value);
+
+      // Saving supersedes any quantity change still waiting to be sent
+      const pending = this.pendingUpdates.get(key);
+      if (pending) {
+        clearTimeout(pending.timeoutId);
+        this.pendingUpdates.delete(key);
+      }
+
+      this.hideItemError(item);
+      this.setItemPendingState(item, 0);
+
+      theme.cart.get().
+      then((cart) => {
+        const lineItem = cart.items.find((cartItem) => cartItem.key === key);
+        if (!lineItem) return;
+
+        return theme.cart.change({
+          id: key,
+          quantity: 0,
+          sections: this.getSectionIds(),
+          sections_url: window.location.pathname
+        }).
+        then(() => theme.savedForLater.addLineItem(lineItem, quantity > 0 ? quantity : lineItem.quantity));
+      }).
+      catch((error) => {
+        const currentItem = this.getItem(key);
+        if (currentItem) {
+          this.clearItemPendingState(currentItem);
+          this.showItemError(currentItem, error.description || error.message);
+        }
+      });
+    }
+
+    shareCart() {
+      const status = this.querySelector('.cart-share__status');
+
+      theme.cart.get().then((cart) => {
+        const url = theme.sharedCart.getUrl(cart);
+
+        // Fall back to showing the link if the clipboard isn't available
+        const showLink = () => {
+          status.textContent = theme.strings.sharedCartCopyPrompt;
+          const input = document.createElement('input');
+          input.type = 'text';
+          input.readOnly = true;
+          input.value = url;
+          input.className = 'cart-share__url select-on-focus';
+          input.setAttribute('aria-label', theme.strings.sharedCartCopyPrompt);
+          status.appendChild(input);
+          input.select();
+        };
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+          navigator.clipboard.writeText(url).then(() => {
+            status.textContent = theme.strings.sharedCartCopied;
+          }, showLink);
+        } else {
+          showLink();
+        }
+      });
+    }
+
+    // Every cart-form on the page is re-rendered from the one response
+    getSectionIds() {
+      return Array.from(document.querySelectorAll('cart-form[data-ajax-update]')).
+      map((el) => el.dataset.sectionId).
+      filter((id, index, ids) => id && ids.indexOf(id) === index);
+    }
+
+    showItemError(item, message) {
+      const errorContainer = item.querySelector('.error-message');
+      if (!errorContainer) return;
+
+      clearTimeout(errorContainer.hideTimeout);
+      errorContainer.innerText = message;
+      errorContainer.style.display = 'block';
+      errorContainer.style.transition = 'height 0.5s ease-out, opacity 0.5s ease-out';
+      errorContainer.offsetHeight;
+      errorContainer.style.height = errorContainer.scrollHeight + 'px';
+      errorContainer.style.opacity = '1';
+
+      errorContainer.hideTimeout = setTimeout(() => this.hideItemError(item), 8000);
+    }
+
+    hideItemError(item) {
+      const errorContainer = item.querySelector('.error-message');
+      if (!errorContainer || errorContainer.style.display !== 'block') return;
+
+      clearTimeout(errorContainer.hideTimeout);
+      errorContainer.style.height = '0';
+      errorContainer.style.opacity = '0';
+
+      errorContainer.hideTimeout = setTimeout(() => {
+        errorContainer.style.display = 'none';
+      }, 500);
+    }
+
+    // Codes currently attached to the cart which Shopify accepted
+    getDiscountCodes(cart) {
+      return (cart.discount_codes || []).
+      filter((discountCode) => discountCode.applicable).
+      map((discountCode) => discountCode.code);
+    }
+
+    updateDiscountCodes(codes) {
+      // An empty string removes every code
+      return theme.cart.update({
+        discount: codes.join(','),
+        sections: this.getSectionIds(),
+        sections_url: window.location.pathname
+      });
+    }
+
+    applyDiscountCode() {
+      const input = this.querySelector('.cart-discount-form__input');
+      const code = input.value.trim();
+      if (!code || this.classList.contains('cart-form--applying-discount')) return;
+
+      this.classList.add('cart-form--applying-discount');
+
+      theme.cart.get().
+      then((cart) => {
+        const codes = this.getDiscountCodes(cart);
+        const matchesCode = (existingCode) => existingCode.toLowerCase() === code.toLowerCase();
+
+        if (codes.some(matchesCode)) {
+          this.showDiscountError(theme.strings.discountAlreadyApplied.replace('[[ code ]]', code));
+          return;
+        }
+
+        return this.updateDiscountCodes(codes.concat(code)).then((updatedCart) => {
+          const applied = (updatedCart.discount_codes || []).find((discountCode) => matchesCode(discountCode.code));
+
+          if (applied && applied.applicable) {
+            input.value = '';
+            this.querySelector('.cart-discount-form__apply').disabled = true;
+            return;
+          }
+
+          this.showDiscountError(theme.strings.discountInvalid.replace('[[ code ]]', code));
+
+          // Don't leave an unusable code attached to the cart
+          if (applied) {
+            return this.updateDiscountCodes(this.getDiscountCodes(updatedCart));
+          }
+        });
+      }).
+      catch((error) => {
+        this.showDiscountError(error.message);
+      }).
+      finally(() => {
+        this.classList.remove('cart-form--applying-discount');
+      });
+    }
+
+    removeDiscountCode(code) {
+      const chip = Array.from(this.querySelectorAll('[data-discount-code]')).find((el) => el.dataset.discountCode === code);
+      if (chip) {
+        chip.classList.add('cart-discount-chip--removing');
+      }
+
+      theme.cart.get().
+      then((cart) => this.updateDiscountCodes(this.getDiscountCodes(cart).filter((existingCode) => existingCode !== code))).
+      catch((error) => {
+        if (chip) {
+          chip.classList.remove('cart-discount-chip--removing');
+        }
+        this.showDiscountError(error.message);
+      });
+    }
+
+    showDiscountError(message) {
+      const input = this.querySelector('.cart-discount-form__input');
+      const errorContainer = this.querySelector('.cart-discount-form__error');
+      if (!input || !errorContainer) return;
+
+      errorContainer.textContent = message || '';
+      errorContainer.hidden = !message;
+
+      if (message) {
+        input.setAttribute('aria-invalid', 'true');
+      } else {
+        input.removeAttribute('aria-invalid');
+      }
+    }
+  };
+
+  window.customElements.define('cart-form', CartForm);
+  ;
+  const CartDrawer = class extends HTMLElement {
+    connectedCallback() {
+      this.panel = this.querySelector('.cart-drawer__panel');
+      this.cssClasses = {
+        open: 'cart-drawer--open',
+        bodyOpen: 'cart-drawer-open'
+      };
+
+      theme.addDelegateEventListener(this, 'click', '[data-cart-drawer-close]', (evt) => {
+        evt.preventDefault();
+        this.close();
+      });
+
+      // Any cart link marked as a toggle (e.g. the header cart icon) opens the drawer instead
+      this.boundToggleClick = (evt) => {
+        const toggle = evt.target.closest('[data-cart-drawer-toggle]');
+        if (toggle) {
+          evt.preventDefault();
+          this.open(toggle);
+        }
+      };
+      document.addEventListener('click', this.boundToggleClick);
+
+      this.boundKeydown = this.handleKeydown.bind(this);
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('click', this.boundToggleClick);
+      document.removeEventListener('keydown', this.boundKeydown);
+
+      if (this.isOpen()) {
+        document.body.classList.remove(this.cssClasses.bodyOpen);
+        theme.viewport.scroll.unlock();
+      }
+    }
+
+    isOpen() {
+      return this.classList.contains(this.cssClasses.open);
+    }
+
+    open(opener) {
+      if (this.isOpen()) return;
+
+      // Make way for the drawer if it was opened from a modal, e.g. quick buy
+      if (document.body.classList.contains('modal-active')) {
+        window.closeThemeModal(true);
+      }
+
+      this.previouslyActiveElement = opener || document.activeElement;
+      this.setAttribute('aria-hidden', 'false');
+      this.classList.add(this.cssClasses.open);
+      document.body.classList.add(this.cssClasses.bodyOpen);
+      document.querySelectorAll('[data-cart-drawer-toggle]').forEach((el) => el.setAttribute('aria-expanded', 'true'));
+      theme.viewport.scroll.lock();
+
+      document.addEventListener('keydown', this.boundKeydown);
+
+      // Focus the panel after the slide-in transition
+      setTimeout(() => {
+        this.panel.focus();
+      }, 300);
+    }
+
+    close() {
+      if (!this.isOpen()) return;
+
+      this.setAttribute('aria-hidden', 'true');
+      this.classList.remove(this.cssClasses.open);
+      document.body.classList.remove(this.cssClasses.bodyOpen);
+      document.querySelectorAll('[data-cart-drawer-toggle]').forEach((el) => el.setAttribute('aria-expanded', 'false'));
+      theme.viewport.scroll.unlock();
+
+      document.removeEventListener('keydown', this.boundKeydown);
+
+      if (this.previouslyActiveElement) {
+        this.previouslyActiveElement.focus();
+      }
+    }
+
+    handleKeydown(evt) {
+      if (evt.key === 'Escape') {
+        this.close();
+      } else if (evt.key === 'Tab') {
+        // Keep focus within the drawer
+        const focusable = Array.from(this.panel.querySelectorAll('a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), textarea:not([disabled]), select:not([disabled])')).
+        filter((el) => el.offsetParent !== null);
+
+        if (focusable.length === 0) return;
+
+        const first = focusable[0],
+          last = focusable[focusable.length - 1];
+
+        if (evt.shiftKey && (document.activeElement === first || document.activeElement === this.panel)) {
+          evt.preventDefault();
+          last.focus();
+        } else if (!evt.shiftKey && document.activeElement === last) {
+          evt.preventDefault();
+          first.focus();
+        }
+      }
+    }
+  };
+
+  window.customElements.define('cart-drawer', CartDrawer);
+  ;
+  const FreeShippingBar = class extends HTMLElement {
+    connectedCallback() {
+      this.threshold = parseInt(this.dataset.threshold);
+      this.message = this.querySelector('.free-shipping-bar__message');
+      this.track = this.querySelector('.free-shipping-bar__track');
+      this.fill = this.querySelector('.free-shipping-bar__fill');
+      this.renderedMessage = this.message.innerHTML;
+
+      this.boundUpdate = (evt) => {
+        if (evt.detail && evt.detail.cart) {
+          this.update(evt.detail.cart);
+        } else {
+          theme.cart.refresh();
+        }
+      };
+
+      document.addEventListener('theme:cartchanged', this.boundUpdate);
+
+      // Bars added after load, e.g. in the added-to-cart popup, start from the last known cart
+      if (theme.cart.state) {
+        this.update(theme.cart.state);
+      }
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('theme:cartchanged', this.boundUpdate);
+    }
+
+    update(cart) {
+      if (!this.threshold || cart.currency !== this.dataset.currency) {
+        this.hidden = true;
+        return;
+      }
+
+      const remaining = Math.max(this.threshold - cart.total_price, 0);
+      const progress = Math.min(Math.floor(cart.total_price * 100 / this.threshold), 100);
+
+      this.hidden = false;
+      this.classList.toggle('free-shipping-bar--empty', cart.item_count === 0);
+      this.classList.toggle('free-shipping-bar--success', remaining === 0);
+      this.fill.style.width = `${progress}%`;
+      this.track.setAttribute('aria-valuenow', progress);
+
+      let message = theme.strings.freeShippingSuccess;
+      if (remaining > 0) {
+        message = theme.strings.freeShippingRemaining.replace('[[ amount ]]',
+        '<span class="theme-money">' + theme.Shopify.formatMoney(remaining, theme.money_format) + '</span>');
+      }
+
+      if (this.renderedMessage !== message) {
+        this.renderedMessage = message;
+
+        // Fade out, swap, then fade back in
+        clearTimeout(this.messageTimeout);
+        this.message.classList.add('free-shipping-bar__message--changing');
+        this.messageTimeout = setTimeout(() => {
+          this.message.innerHTML = message;
+          this.message.classList.remove('free-shipping-bar__message--changing');
+        }, 200);
+      }
+    }
+  };
+
+  window.customElements.define('free-shipping-bar', FreeShippingBar);
+  ;
+  const ShippingEstimator = class extends HTMLElement {
+    connectedCallback() {
+      this.storageKey = 'cc-shipping-estimator-address';
+      this.form = this.querySelector('form');
+      this.results = this.querySelector('.shipping-estimator__results');
+      this.submitButton = this.querySelector('.shipping-estimator__submit');
+      this.countrySelect = this.form.elements['shipping_address[country]'];
+      this.provinceSelect = this.form.elements['shipping_address[province]'];
+      this.zipInput = this.form.elements['shipping_address[zip]'];
+      this.requestId = 0;
+
+      // Restore the last address entered, before the province list is built from it
+      const savedAddress = LocalStorageUtil.get(this.storageKey, true);
+      if (savedAddress) {
+        this.countrySelect.dataset.default = savedAddress.country || '';
+        this.provinceSelect.dataset.default = savedAddress.province || '';
+        this.zipInput.value = savedAddress.zip || '';
+      }
+
+      this.initProvinceSelector();
+
+      this.form.addEventListener('submit', (evt) => {
+        evt.preventDefault();
+        this.estimate(this.getAddress());
+      });
+
+      // Rates depend on the cart contents, so refresh any estimate already shown
+      this.boundCartChanged = (evt) => {
+        const cart = evt.detail && evt.detail.cart;
+        if (cart) {
+          const signature = theme.cart.getSignature(cart);
+          if (signature === this.estimatedSignature) return;
+          this.estimatedSignature = signature;
+
+          if (cart.item_count === 0) {
+            this.requestId++;
+            this.results.hidden = true;
+            return;
+          }
+        }
+
+        if (this.lastAddress) {
+          this.estimate(this.lastAddress);
+        }
+      };
+      document.addEventListener('theme:cartchanged', this.boundCartChanged);
+    }
+
+    // Waits for shopify_common.js if it's still loading, e.g. when the section is rendered by the editor
+    initProvinceSelector() {
+      if (window.Shopify && Shopify.CountryProvinceSelector) {
+        const idPrefix = this.dataset.idPrefix;
+        new Shopify.CountryProvinceSelector(`${idPrefix}-estimate-country`, `${idPrefix}-estimate-province`, {
+          hideElement: `${idPrefix}-estimate-province-container`
+        });
+        return;
+      }
+
+      const script = document.querySelector('script[src*="shopify_common"]');
+      if (script) {
+        script.addEventListener('load', () => this.initProvinceSelector(), { once: true });
+      }
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('theme:cartchanged', this.boundCartChanged);
+      this.requestId++;
+    }
+
+    getAddress() {
+      return {
+        country: this.countrySelect.value,
+        province: this.provinceSelect.value,
+        zip: this.zipInput.value.trim()
+      };
+    }
+
+    getQueryString(address) {
+      return Object.keys(address).
+      map((key) => `shipping_address[${key}]=${encodeURIComponent(address[key])}`).
+      join('&');
+    }
+
+    estimate(address) {
+      const requestId = ++this.requestId;
+      const query = this.getQueryString(address);
+
+      this.lastAddress = address;
+      LocalStorageUtil.set(this.storageKey, address);
+
+      if (theme.cart.state) {
+        this.estimatedSignature = theme.cart.getSignature(theme.cart.state);
+      }
+
+      this.classList.add('shipping-estimator--loading');
+      this.submitButton.disabled = true;
+      this.renderMessage(theme.strings.shippingEstimatorCalculating);
+
+      fetch(`${theme.routes.cart_url}/prepare_shipping_rates.json?${query}`, { method: 'POST' }).
+      then((response) => {
+        if (!response.ok) {
+          return response.json().then((errors) => {
+            throw this.getError(errors);
+          });
+        }
+        return this.pollRates(query, requestId, 0);
+      }).
+      then((rates) => {
+        if (requestId !== this.requestId) return;
+        this.renderRates(rates);
+      }).
+      catch((error) => {
+        if (requestId !== this.requestId) return;
+        this.renderMessage(error.message || theme.strings.shippingEstimatorError, true);
+      }).
+      finally(() => {
+        if (requestId !== this.requestId) return;
+        this.classList.remove('shipping-estimator--loading');
+        this.submitButton.disabled = false;
+      });
+    }
+
+    // Shopify calculates rates asynchronously, responding with null until they're ready
+    pollRates(query, requestId, attempt) {
+      return fetch(`${theme.routes.cart_url}/async_shipping_rates.json?${query}`).
+      then((response) => response.json()).
+      then((data) => {
+        if (data && data.shipping_rates) {
+          return data.shipping_rates;
+        }
+
+        if (requestId !== this.requestId || attempt >= 20) {
+          throw new Error(theme.strings.shippingEstimatorError);
+        }
+
+        return new Promise((resolve) => setTimeout(resolve, 500)).
+        then(() => this.pollRates(query, requestId, attempt + 1));
+      });
+    }
+
+    // Validation errors arrive as { zip: ['is not valid for United States'] }
+    getError(errors) {
+      const messages = errors && typeof errors === 'object' ?
+      Object.keys(errors).
+      filter((key) => Array.isArray(errors[key])).
+      map((key) => `${key.charAt(0).toUpperCase()}${key.slice(1)} ${errors[key].join(', ')}`) :
+      [];
+      return new Error(messages.length ? messages.join('. ') : theme.strings.shippingEstimatorError);
+    }
+
+    renderRates(rates) {
+      if (rates.length === 0) {
+        this.renderMessage(theme.strings.shippingEstimatorNoRates);
+        return;
+      }
+
+      const list = document.createElement('ul');
+      list.className = 'shipping-estimator__rates';
+
+      rates.forEach((rate) => {
+        const cents = Math.round(parseFloat(rate.price) * 100);
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        const price = document.createElement('span');
+
+        item.className = 'shipping-estimator__rate';
+        name.className = 'shipping-estimator__rate-name';
+        name.textContent = rate.name;
+        price.className = 'shipping-estimator__rate-price theme-money';
+        price.innerHTML = cents > 0 ? theme.Shopify.formatMoney(cents, theme.money_format_with_code_preference) : theme.strings.shippingEstimatorFree;
+
+        item.appendChild(name);
+        item.appendChild(price);
+        list.appendChild(item);
+      });
+
+      const heading = document.createElement('p');
+      heading.className = 'shipping-estimator__heading feature-subheader--small';
+      heading.textContent = theme.strings.shippingEstimatorResultsHeading;
+
+      this.results.innerHTML = '';
+      this.results.appendChild(heading);
+      this.results.appendChild(list);
+      this.results.classList.remove('shipping-estimator__results--error');
+      this.results.hidden = false;
+    }
+
+    renderMessage(message, isError) {
+      const paragraph = document.createElement('p');
+      paragraph.textContent = message;
+
+      this.results.innerHTML = '';
+      this.results.appendChild(paragraph);
+      this.results.classList.toggle('shipping-estimator__results--error', !!isError);
+      this.results.hidden = false;
+    }
+  };
+
+  window.customElements.define('shipping-estimator', ShippingEstimator);
+  ;
+  const SavedForLater = class extends HTMLElement {
+    connectedCallback() {
+      this.list = this.querySelector('.saved-for-later__list');
+
+      this.boundRender = () => this.render();
+      document.addEventListener(theme.savedForLater.changedEvent, this.boundRender);
+
+      theme.addDelegateEventListener(this, 'click', '.saved-for-later__move', (evt) => {
+        evt.preventDefault();
+        this.moveToCart(evt.target.closest('[data-entry-id]'));
+      });
+
+      theme.addDelegateEventListener(this, 'click', '.saved-for-later__remove', (evt) => {
+        evt.preventDefault();
+        theme.savedForLater.remove(evt.target.closest('[data-entry-id]').dataset.entryId);
+      });
+
+      this.render();
+      this.refreshProducts();
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener(theme.savedForLater.changedEvent, this.boundRender);
+    }
+
+    // Prices and stock may have changed since the items were saved
+    refreshProducts() {
+      const handles = theme.savedForLater.get().
+      map((entry) => entry.handle).
+      filter((handle, index, allHandles) => handle && allHandles.indexOf(handle) === index);
+
+      if (handles.length === 0) return;
+
+      Promise.all(handles.map((handle) => {
+        return fetch(`${window.Shopify.routes.root}products/${handle}.js`).
+        then((response) => {
+          if (response.status === 404) return { handle, product: null };
+          if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
+          return response.json().then((product) => ({ handle, product }));
+        }).
+        catch(() => ({ handle, product: undefined }));
+      })).
+      then((results) => {
+        const entries = theme.savedForLater.get();
+
+        entries.forEach((entry) => {
+          const result = results.find((productResult) => productResult.handle === entry.handle);
+
+          // Leave entries as they were if their product couldn't be fetched
+          if (!result || typeof result.product === 'undefined') return;
+
+          const variant = result.product ? result.product.variants.find((productVariant) => productVariant.id === entry.variantId) : null;
+          if (variant) {
+            entry.available = variant.available;
+            entry.price = variant.price;
+            entry.removed = false;
+          } else {
+            entry.available = false;
+            entry.removed = true;
+          }
+        });
+
+        theme.savedForLater.set(entries);
+      });
+    }
+
+    moveToCart(row) {
+      const entryId = row.dataset.entryId;
+      const entry = theme.savedForLater.get().find((savedEntry) => theme.savedForLater.getEntryId(savedEntry) === entryId);
+      if (!entry) return;
+
+      row.classList.add('saved-for-later__item--loading');
+
+      theme.cart.add([{
+        id: entry.variantId,
+        quantity: entry.quantity,
+        properties: entry.properties
+      }]).
+      then(() => {
+        theme.savedForLater.remove(entryId);
+      }).
+      catch((error) => {
+        row.classList.remove('saved-for-later__item--loading');
+
+        const errorContainer = row.querySelector('.saved-for-later__error');
+        errorContainer.textContent = error.description || error.message;
+        errorContainer.hidden = false;
+      });
+    }
+
+    render() {
+      const entries = theme.savedForLater.get();
+
+      this.hidden = entries.length === 0;
+      this.list.innerHTML = '';
+      entries.forEach((entry) => this.list.appendChild(this.renderEntry(entry)));
+    }
+
+    renderEntry(entry) {
+      const row = document.createElement('li');
+      row.className = 'saved-for-later__item';
+      row.dataset.entryId = theme.savedForLater.getEntryId(entry);
+
+      const createElement = (tagName, className, text) => {
+        const el = document.createElement(tagName);
+        el.className = className;
+        if (text) {
+          el.textContent = text;
+        }
+        return el;
+      };
+
+      const imageLink = createElement('a', 'saved-for-later__image');
+      imageLink.href = entry.url;
+      if (entry.image) {
+        const image = document.createElement('img');
+        image.src = theme.Shopify.Image.getSizedImageUrl(entry.image, '132x') || entry.image;
+        image.alt = '';
+        image.loading = 'lazy';
+        imageLink.appendChild(image);
+      }
+      row.appendChild(imageLink);
+
+      const details = createElement('div', 'saved-for-later__details');
+      const title = createElement('a', 'saved-for-later__product-title', entry.title);
+      title.href = entry.url;
+      details.appendChild(title);
+
+      if (entry.variantTitle) {
+        details.appendChild(createElement('p', 'saved-for-later__meta', entry.variantTitle));
+      }
+
+      Object.keys(entry.properties || {}).forEach((key) => {
+        if (key.charAt(0) !== '_' && entry.properties[key]) {
+          details.appendChild(createElement('p', 'saved-for-later__meta', `${key}: ${entry.properties[key]}`));
+        }
+      });
+
+      details.appendChild(createElement('p', 'saved-for-later__meta', `${theme.strings.cartQuantity}: ${entry.quantity}`));
+
+      const price = createElement('p', 'saved-for-later__price theme-money');
+      price.innerHTML = theme.Shopify.formatMoney(entry.price, theme.money_format_with_code_preference);
+      details.appendChild(price);
+
+      if (entry.available === false) {
+        row.classList.add('saved-for-later__item--unavailable');
+        details.appendChild(createElement('p', 'saved-for-later__flag', entry.removed ? theme.strings.savedForLaterUnavailable : theme.strings.priceSoldOut));
+      }
+
+      const actions = createElement('div', 'saved-for-later__actions');
+      const moveButton = createElement('button', 'button alt saved-for-later__move', theme.strings.savedForLaterMoveToCart);
+      moveButton.type = 'button';
+      moveButton.disabled = entry.available === false;
+      actions.appendChild(moveButton);
+
+      const removeButton = createElement('button', 'textbutton saved-for-later__remove', theme.strings.cartRemove);
+      removeButton.type = 'button';
+      actions.appendChild(removeButton);
+      details.appendChild(actions);
+
+      const error = createElement('p', 'saved-for-later__error');
+      error.setAttribute('role', 'alert');
+      error.hidden = true;
+      details.appendChild(error);
+
+      row.appendChild(details);
+      return row;
+    }
+  };
+
+  window.customElements.define('saved-for-later', SavedForLater);
+  ;
+  /*
+    The quote page (sections/quote-list.liquid). Lists the quote entries with editable quantities,
+    and writes them into a hidden field of the contact form, so they're sent with the customer's details.
+   */
+  const QuoteList = class extends HTMLElement {
+    connectedCallback() {
+      // Sent, so start a new quote
+      if (this.querySelector('[data-quote-posted]')) {
+        theme.quote.clear();
+        return;
+      }
+
+      this.list = this.querySelector('.quote-list__items');
+      this.empty = this.querySelector('.quote-list__empty');
+      this.customer = this.querySelector('.quote-list__customer');
+      this.summary = this.querySelector('.quote-list__summary');
+
+      this.boundRender = () => this.render();
+      document.addEventListener(theme.quote.changedEvent, this.boundRender);
+
+      theme.addDelegateEventListener(this, 'change', '.quote-list__quantity', (evt, input) => {
+        const quantity = parseInt(input.value);
+        if (quantity > 0) {
+          theme.quote.setQuantity(input.closest('[data-entry-id]').dataset.entryId, quantity);
+        } else {
+          theme.quote.remove(input.closest('[data-entry-id]').dataset.entryId);
+        }
+      });
+
+      theme.addDelegateEventListener(this, 'click', '.quote-list__remove', (evt) => {
+        evt.preventDefault();
+        theme.quote.remove(evt.target.closest('[data-entry-id]').dataset.entryId);
+      });
+
+      this.render();
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener(theme.quote.changedEvent, this.boundRender);
+    }
+
+    render() {
+      const entries = theme.quote.get();
+      const focusedEntryId = document.activeElement && this.contains(document.activeElement) && document.activeElement.closest('[data-entry-id]') ?
+      document.activeElement.closest('[data-entry-id]').dataset.entryId : null;
+
+      this.list.hidden = entries.length === 0;
+      this.customer.hidden = entries.length === 0;
+      this.empty.hidden = entries.length > 0;
+
+      this.list.innerHTML = '';
+      entries.forEach((entry) => this.list.appendChild(this.renderEntry(entry)));
+      this.summary.value = this.getSummary(entries);
+
+      // Re-rendering after a quantity change shouldn't lose the customer's place
+      if (focusedEntryId) {
+        const row = Array.from(this.list.children).find((item) => item.dataset.entryId === focusedEntryId);
+        if (row) {
+          row.querySelector('.quote-list__quantity').focus();
+        }
+      }
+    }
+
+    // One line per entry, as plain text for the contact form email
+    getSummary(entries) {
+      return entries.map((entry) => {
+        let line = `${entry.quantity} × ${entry.title}`;
+        if (entry.variantTitle) {
+          line += ` - ${entry.variantTitle}`;
+        }
+        if (entry.sku) {
+          line += ` [${entry.sku}]`;
+        }
+        Object.keys(entry.properties || {}).forEach((key) => {
+          if (key.charAt(0) !== '_' && entry.properties[key]) {
+            line += `\n    ${key}: ${entry.properties[key]}`;
+          }
+        });
+        return `${line}\n    ${window.location.origin}${entry.url}`;
+      }).join('\n');
+    }
+
+    renderEntry(entry) {
+      const row = document.createElement('li');
+      row.className = 'quote-list__item';
+      row.dataset.entryId = theme.quote.getEntryId(entry);
+
+      const createElement = (tagName, className, text) => {
+        const el = document.createElement(tagName);
+        el.className = className;
+        if (text) {
+          el.textContent = text;
+        }
+        return el;
+      };
+
+      const imageLink = createElement('a', 'quote-list__image');
+      imageLink.href = entry.url;
+      if (entry.image) {
+        const image = document.createElement('img');
+        image.src = theme.Shopify.Image.getSizedImageUrl(entry.image, '132x') || entry.image;
+        image.alt = '';
+        image.loading = 'lazy';
+        imageLink.appendChild(image);
+      }
+      row.appendChild(imageLink);
+
+      const details = createElement('div', 'quote-list__details');
+      const title = createElement('a', 'quote-list__product-title', entry.title);
+      title.href = entry.url;
+      details.appendChild(title);
+
+      if (entry.variantTitle) {
+        details.appendChild(createElement('p', 'quote-list__meta', entry.variantTitle));
+      }
+      if (entry.sku) {
+        details.appendChild(createElement('p', 'quote-list__meta', entry.sku));
+      }
+
+      Object.keys(entry.properties || {}).forEach((key) => {
+        if (key.charAt(0) !== '_' && entry.properties[key]) {
+          details.appendChild(createElement('p', 'quote-list__meta', `${key}: ${entry.properties[key]}`));
+        }
+      });
+
+      const price = createElement('p', 'quote-list__price theme-money');
+      price.innerHTML = theme.Shopify.formatMoney(entry.price, theme.money_format_with_code_preference);
+      details.appendChild(price);
+
+      const actions = createElement('div', 'quote-list__actions');
+      const quantity = createElement('input', 'quote-list__quantity');
+      quantity.type = 'number';
+      quantity.min = 0;
+      quantity.value = entry.quantity;
+      quantity.setAttribute('aria-label', theme.strings.cartQuantity);
+      actions.appendChild(quantity);
+
+      const removeButton = createElement('button', 'textbutton quote-list__remove', theme.strings.cartRemove);
+      removeButton.type = 'button';
+      actions.appendChild(removeButton);
+      details.appendChild(actions);
+
+      row.appendChild(details);
+      return row;
+    }
+  };
+
+  window.customElements.define('quote-list', QuoteList);
+  ;
+  const DeliveryDatePicker = class extends HTMLElement {
+    connectedCallback() {
+      if (!theme.deliveryDate.enabled) return;
+
+      this.calendar = this.querySelector('.delivery-date-picker__calendar');
+      this.slots = this.querySelector('.delivery-date-picker__slots');
+      this.slotOptions = this.querySelector('.delivery-date-picker__slot-options');
+      this.summary = this.querySelector('.delivery-date-picker__summary');
+      this.error = this.querySelector('.delivery-date-picker__error');
+      this.savePromise = null;
+
+      // Drop a saved choice which is no longer valid, e.g. the date has passed
+      this.selectedDate = theme.deliveryDate.fromKey(this.dataset.selectedDate);
+      if (!theme.deliveryDate.isAvailable(this.selectedDate)) {
+        this.selectedDate = null;
+      }
+      this.selectedSlot = theme.deliveryDate.timeSlots.indexOf(this.dataset.selectedSlot) > -1 ? this.dataset.selectedSlot : null;
+
+      this.focusedDate = this.selectedDate || theme.deliveryDate.getFirstAvailable() || theme.deliveryDate.getRange().first;
+      this.viewMonth = new Date(Date.UTC(this.focusedDate.getUTCFullYear(), this.focusedDate.getUTCMonth(), 1));
+
+      theme.addDelegateEventListener(this, 'click', '.delivery-date-picker__day', (evt) => {
+        evt.preventDefault();
+        this.selectDate(theme.deliveryDate.fromKey(evt.target.closest('.delivery-date-picker__day').dataset.date));
+      });
+
+      theme.addDelegateEventListener(this, 'keydown', '.delivery-date-picker__day', (evt) => this.handleDayKeydown(evt));
+
+      theme.addDelegateEventListener(this, 'click', '.delivery-date-picker__month-nav', (evt) => {
+        evt.preventDefault();
+        this.changeMonth(parseInt(evt.target.closest('.delivery-date-picker__month-nav').dataset.direction));
+      });
+
+      theme.addDelegateEventListener(this, 'change', '.delivery-date-picker__slot-input', (evt) => {
+        this.selectedSlot = evt.target.value;
+        this.hideError();
+        this.save();
+      });
+
+      this.renderCalendar();
+      this.renderSlots();
+      this.renderSummary();
+
+      // Sent here from a checkout button elsewhere, e.g. the cart drawer
+      if (window.location.hash === `#${this.id}` && !this.isValid()) {
+        this.showError();
+      }
+    }
+
+    isValid() {
+      return !!this.selectedDate && theme.deliveryDate.isValidSelection(theme.deliveryDate.toKey(this.selectedDate), this.selectedSlot);
+    }
+
+    showError() {
+      const needsDate = !this.selectedDate || !theme.deliveryDate.isAvailable(this.selectedDate);
+
+      this.error.textContent = needsDate ? theme.strings.deliveryDateRequired : theme.strings.deliverySlotRequired;
+      this.error.hidden = false;
+      this.classList.add('delivery-date-picker--invalid');
+
+      if (needsDate) {
+        this.calendar.querySelector('.delivery-date-picker__day[tabindex="0"]').focus();
+      } else {
+        this.slotOptions.querySelector('.delivery-date-picker__slot-input').focus();
+      }
+    }
+
+    hideError() {
+      this.error.hidden = true;
+      this.error.textContent = '';
+      this.classList.remove('delivery-date-picker--invalid');
+    }
+
+    selectDate(date) {
+      if (!theme.deliveryDate.isAvailable(date)) return;
+
+      this.selectedDate = date;
+      this.focusedDate = date;
+      this.renderCalendar(true);
+
+      if (theme.deliveryDate.timeSlots.length === 0 || this.selectedSlot) {
+        this.hideError();
+      }
+      this.save();
+    }
+
+    changeMonth(direction) {
+      this.viewMonth = new Date(Date.UTC(this.viewMonth.getUTCFullYear(), this.viewMonth.getUTCMonth() + direction, 1));
+
+      // Keep focus within the month being shown
+      const focusedMonth = this.focusedDate.getUTCFullYear() * 12 + this.focusedDate.getUTCMonth();
+      if (focusedMonth !== this.viewMonth.getUTCFullYear() * 12 + this.viewMonth.getUTCMonth()) {
+        this.focusedDate = this.viewMonth;
+      }
+      this.renderCalendar();
+    }
+
+    handleDayKeydown(evt) {
+      const date = this.focusedDate;
+      let newDate = null;
+
+      switch (evt.key) {
+        case 'ArrowLeft':newDate = theme.deliveryDate.addDays(date, -1);break;
+        case 'ArrowRight':newDate = theme.deliveryDate.addDays(date, 1);break;
+        case 'ArrowUp':newDate = theme.deliveryDate.addDays(date, -7);break;
+        case 'ArrowDown':newDate = theme.deliveryDate.addDays(date, 7);break;
+        case 'Home':newDate = theme.deliveryDate.addDays(date, -date.getUTCDay());break;
+        case 'End':newDate = theme.deliveryDate.addDays(date, 6 - date.getUTCDay());break;
+        case 'PageUp':newDate = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, Math.min(date.getUTCDate(), 28)));break;
+        case 'PageDown':newDate = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, Math.min(date.getUTCDate(), 28)));break;
+        default:return;
+      }
+
+      evt.preventDefault();
+      this.focusedDate = newDate;
+      this.viewMonth = new Date(Date.UTC(newDate.getUTCFullYear(), newDate.getUTCMonth(), 1));
+      this.renderCalendar(true);
+    }
+
+    save() {
+      if (!this.selectedDate) return;
+
+      const attributes = {};
+      attributes[theme.deliveryDate.dateAttribute] = theme.deliveryDate.toKey(this.selectedDate);
+      attributes[theme.deliveryDate.slotAttribute] = this.selectedSlot || '';
+
+      this.renderSummary();
+
+      const save = theme.cart.update({ attributes }).
+      catch(() => {
+        this.error.textContent = theme.strings.deliveryDateSaveFailed;
+        this.error.hidden = false;
+        throw new Error(theme.strings.deliveryDateSaveFailed);
+      });
+
+      this.savePromise = save;
+      save.catch(() => {}).then(() => {
+        if (this.savePromise === save) {
+          this.savePromise = null;
+        }
+      });
+    }
+
+    renderSummary() {
+      if (!this.selectedDate) {
+        this.summary.textContent = '';
+        return;
+      }
+
+      const date = theme.deliveryDate.format(this.selectedDate, { weekday: 'long', day: 'numeric', month: 'long' });
+      this.summary.textContent = theme.strings.deliveryDateSummary.replace('[[ date ]]', this.selectedSlot ? `${date}, ${this.selectedSlot}` : date);
+    }
+
+    renderSlots() {
+      const timeSlots = theme.deliveryDate.timeSlots;
+      this.slots.hidden = timeSlots.length === 0;
+      this.slotOptions.innerHTML = '';
+
+      timeSlots.forEach((slot, index) => {
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        label.className = 'delivery-date-picker__slot';
+        input.type = 'radio';
+        input.name = `delivery-slot-${this.id}`;
+        input.className = 'delivery-date-picker__slot-input';
+        input.value = slot;
+        input.checked = slot === this.selectedSlot;
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(` ${slot}`));
+        this.slotOptions.appendChild(label);
+      });
+    }
+
+    renderCalendar(moveFocus) {
+      const range = theme.deliveryDate.getRange();
+      const year = this.viewMonth.getUTCFullYear();
+      const month = this.viewMonth.getUTCMonth();
+      const monthStart = this.viewMonth;
+      const monthEnd = new Date(Date.UTC(year, month + 1, 0));
+      const monthLabel = theme.deliveryDate.format(monthStart, { month: 'long', year: 'numeric' });
+      const canGoBack = monthStart > range.first;
+      const canGoForward = monthEnd < range.last;
+      const gridId = `${this.id}-grid`;
+
+      let html = '<div class="delivery-date-picker__header">';
+      html += `<button type="button" class="delivery-date-picker__month-nav" data-direction="-1" aria-label="${theme.strings.deliveryDatePreviousMonth}" aria-controls="${gridId}" ${canGoBack ? '' : 'disabled'}>${theme.icons.chevronLightLeft}</button>`;
+      html += `<h3 class="delivery-date-picker__month" id="${gridId}-label" aria-live="polite">${monthLabel}</h3>`;
+      html += `<button type="button" class="delivery-date-picker__month-nav" data-direction="1" aria-label="${theme.strings.deliveryDateNextMonth}" aria-controls="${gridId}" ${canGoForward ? '' : 'disabled'}>${theme.icons.chevronLightRight}</button>`;
+      html += '</div>';
+
+      html += `<table class="delivery-date-picker__grid" id="${gridId}" role="grid" aria-labelledby="${gridId}-label"><thead><tr>`;
+      for (let day = 0; day < 7; day++) {
+        // 4 January 1970 was a Sunday
+        const weekday = new Date(Date.UTC(1970, 0, 4 + day));
+        html += `<th scope="col" abbr="${theme.deliveryDate.format(weekday, { weekday: 'long' })}">${theme.deliveryDate.format(weekday, { weekday: 'narrow' })}</th>`;
+      }
+      html += '</tr></thead><tbody><tr>';
+
+      for (let i = 0; i < monthStart.getUTCDay(); i++) {
+        html += '<td></td>';
+      }
+
+      for (let date = monthStart; date <= monthEnd; date = theme.deliveryDate.addDays(date, 1)) {
+        const key = theme.deliveryDate.toKey(date);
+        const isAvailable = theme.deliveryDate.isAvailable(date);
+        const isSelected = this.selectedDate && key === theme.deliveryDate.toKey(this.selectedDate);
+        const isFocused = key === theme.deliveryDate.toKey(this.focusedDate);
+
+        if (date.getUTCDay() === 0 && date > monthStart) {
+          html += '</tr><tr>';
+        }
+
+        html += `<td role="gridcell" ${isSelected ? 'aria-selected="true"' : ''}>`;
+        html += `<button type="button" class="delivery-date-picker__day${isSelected ? ' delivery-date-picker__day--selected' : ''}" data-date="${key}"`;
+        html += ` tabindex="${isFocused ? '0' : '-1'}" aria-label="${theme.deliveryDate.format(date, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })}"`;
+        html += `${isAvailable ? '' : ' aria-disabled="true"'}${isSelected ? ' aria-pressed="true"' : ''}>${date.getUTCDate()}</button></td>`;
+      }
+
+      html += '</tr></tbody></table>';
+      this.calendar.innerHTML = html;
+
+      if (moveFocus) {
+        this.calendar.querySelector('.delivery-date-picker__day[tabindex="0"]').focus();
+      }
+    }
+  };
+
+  window.customElements.define('delivery-date-picker', DeliveryDatePicker);
+  ;
+  const GiftWrapToggle = class extends HTMLElement {
+    connectedCallback() {
+      if (!theme.giftWrap.enabled) return;
+
+      this.checkbox = this.querySelector('.gift-wrap__checkbox');
+      this.error = this.querySelector('.gift-wrap__error');
+      this.message = this.querySelector('.gift-wrap__message');
+      this.messageField = this.message ? this.message.querySelector('[data-cart-note]') : null;
+
+      this.checkbox.addEventListener('change', () => this.setWrapped(this.checkbox.checked));
+
+      this.boundUpdate = (evt) => {
+        if (evt.detail && evt.detail.cart) {
+          this.update(evt.detail.cart);
+        } else {
+          theme.cart.refresh();
+        }
+      };
+
+      document.addEventListener('theme:cartchanged', this.boundUpdate);
+
+      if (theme.cart.state) {
+        this.update(theme.cart.state);
+      }
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('theme:cartchanged', this.boundUpdate);
+    }
+
+    // The toggle follows the cart, so it stays right however the cart was changed or refreshed
+    update(cart) {
+      if (this.updating) return;
+
+      const wrapped = theme.giftWrap.getWrapQuantity(cart) > 0;
+      this.checkbox.checked = wrapped;
+
+      if (this.message) {
+        this.message.hidden = !wrapped;
+      }
+
+      if (!wrapped && this.messageField && this.messageField.value !== '') {
+        this.messageField.value = '';
+        theme.cartNoteMonitor.postUpdate('', this.messageField);
+      }
+    }
+
+    setWrapped(wrapped) {
+      const cartForm = this.closest('cart-form');
+      const extraParams = cartForm && cartForm.enableAjaxUpdate ? {
+        sections: cartForm.getSectionIds(),
+        sections_url: window.location.pathname
+      } : {};
 
-      if (this.enableAjaxUpdate) {
-        this.sectionId = this.dataset.sectionId;
+      this.updating = true;
+      this.error.hidden = true;
+      this.classList.add('gift-wrap--updating');
 
-        this.boundRefresh = (evt) => {
-          this.refresh(evt.detail);
-        };
+      theme.giftWrap.set(wrapped, extraParams).
+      catch(() => {
+        this.error.textContent = theme.strings.giftWrapUpdateFailed;
+        this.error.hidden = false;
+      }).
+      then(() => {
+        this.updating = false;
+        this.classList.remove('gift-wrap--updating');
 
-        document.addEventListener('theme:cartchanged', this.boundRefresh);
+        if (theme.cart.state) {
+          this.update(theme.cart.state);
+        }
+      });
+    }
+  };
 
-        theme.addDelegateEventListener(this, 'click', '.cart-item__remove', (evt) => {
-          evt.preventDefault();
-          this.adjustItemQuantity(evt.target.closest('.cart-item'), { to: 0 });
-        });
+  window.customElements.define('gift-wrap-toggle', GiftWrapToggle);
+  ;
+  const CartMinimumOrder = class extends HTMLElement {
+    connectedCallback() {
+      if (!theme.minimumOrder.enabled) return;
 
-        theme.addDelegateEventListener(this, 'click', '.quantity-down', (evt) => {
-          evt.preventDefault();
-          this.adjustItemQuantity(evt.target.closest('.cart-item'), { decrease: true });
-        });
+      this.message = this.querySelector('.cart-minimum-order__message');
 
-        theme.addDelegateEventListener(this, 'click', '.quantity-up', (evt) => {
-          evt.preventDefault();
-          this.adjustItemQuantity(evt.target.closest('.cart-item'), { increase: true });
-        });
+      this.boundUpdate = (evt) => {
+        if (evt.detail && evt.detail.cart) {
+          this.update(evt.detail.cart);
+        } else {
+          theme.cart.refresh();
+        }
+      };
 
-        theme.addDelegateEventListener(this, 'change', '.cart-item__quantity-input', (evt) => {
-          this.adjustItemQuantity(evt.target.closest('.cart-item'), { currentValue: true });
-        });
+      document.addEventListener('theme:cartchanged', this.boundUpdate);
+
+      if (theme.cart.state) {
+        this.update(theme.cart.state);
+      } else if (this.closest('[data-terms-scope]')) {
+        // Until the cart is fetched, go by the rendered state
+        this.closest('[data-terms-scope]').classList.toggle('checkout-blocked', !this.hidden);
       }
     }
 
     disconnectedCallback() {
-      theme.cartNoteMonitor.unload($('[name="note"]', this));
+      document.removeEventListener('theme:cartchanged', this.boundUpdate);
+    }
 
-      if (this.enableAjaxUpdate) {
-        document.removeEventListener('theme:cartchanged', this.boundRefresh);
+    update(cart) {
+      const isMet = theme.minimumOrder.isMet(cart);
+      const scope = this.closest('[data-terms-scope]');
+
+      this.hidden = isMet;
+      this.classList.remove('cart-minimum-order--error');
+      if (scope) {
+        scope.classList.toggle('checkout-blocked', !isMet);
+      }
+
+      if (!isMet) {
+        const formatMoney = (cents) => `<span class="theme-money">${theme.Shopify.formatMoney(cents, theme.money_format)}</span>`;
+        this.message.innerHTML = theme.strings.minimumOrderMessage.
+        replace('[[ minimum ]]', formatMoney(theme.minimumOrder.minimum)).
+        replace('[[ remaining ]]', formatMoney(theme.minimumOrder.minimum - cart.total_price));
       }
     }
 
-    refresh() {
-      this.classList.add('cart-form--refreshing');
-      fetch(`${window.Shopify.routes.root}?section_id=${this.sectionId}`).
-      then((response) => {
-        if (!response.ok) {
-          throw new Error(`HTTP error! Status: ${response.status}`);
+    showError() {
+      this.hidden = false;
+      this.classList.add('cart-minimum-order--error');
+      this.message.focus();
+    }
+  };
+
+  window.customElements.define('cart-minimum-order', CartMinimumOrder);
+  ;
+  /*
+    Quick order form (sections/quick-order.liquid). Each row's SKU is looked up through predictive
+    search, then matched exactly against the variants of the products it returns. Every resolved
+    row is added in one request, and the rows which could not be added, or only in part, say why.
+   */
+  const QuickOrderForm = class extends HTMLElement {
+    connectedCallback() {
+      this.form = this.querySelector('.quick-order__form');
+      this.rowsContainer = this.querySelector('.quick-order__rows');
+      this.rowTemplate = this.querySelector('.quick-order__row-template');
+      this.summary = this.querySelector('.quick-order__summary');
+      this.submitButton = this.querySelector('.quick-order__submit');
+      this.initialRows = parseInt(this.dataset.initialRows) || 5;
+      this.lookups = {};
+
+      this.addEventListener('click', this.handleClick.bind(this));
+      this.addEventListener('change', this.handleChange.bind(this));
+      this.addEventListener('keydown', this.handleKeydown.bind(this));
+      this.form.addEventListener('submit', this.handleSubmit.bind(this));
+
+      this.reset();
+    }
+
+    handleClick(evt) {
+      if (evt.target.closest('.quick-order__add-row')) {
+        this.addRow().querySelector('.quick-order__sku').focus();
+      } else if (evt.target.closest('.quick-order__remove')) {
+        this.removeRow(evt.target.closest('.quick-order__row'));
+      } else if (evt.target.closest('.quick-order__import')) {
+        const paste = this.querySelector('.quick-order__paste');
+        this.importLines(this.parse(paste.value));
+        paste.value = '';
+      } else if (evt.target.closest('.quick-order__clear')) {
+        this.reset();
+      }
+    }
+
+    handleChange(evt) {
+      const row = evt.target.closest('.quick-order__row');
+
+      if (evt.target.classList.contains('quick-order__sku')) {
+        this.resolveRow(row);
+      } else if (evt.target.classList.contains('quick-order__quantity')) {
+        delete row.dataset.added;
+        this.setStatus(row, row.variant ? this.getAvailability(row.variant) : '');
+      } else if (evt.target.classList.contains('quick-order__upload')) {
+        const file = evt.target.files[0];
+        if (file) {
+          file.text().then((text) => {
+            this.importLines(this.parse(text));
+            evt.target.value = '';
+          });
         }
-        return response.text();
-      }).
-      then((response) => {
-        let frag = document.createDocumentFragment(),
-          newContent = document.createElement('div');
+      }
+    }
+
+    // Enter in a SKU field looks it up and moves on to its quantity, rather than submitting
+    handleKeydown(evt) {
+      if (evt.key === 'Enter' && evt.target.classList.contains('quick-order__sku')) {
+        evt.preventDefault();
+        const row = evt.target.closest('.quick-order__row');
+        this.resolveRow(row);
+        row.querySelector('.quick-order__quantity').focus();
+      }
+    }
 
-        frag.appendChild(newContent);
-        newContent.innerHTML = response;
+    reset() {
+      this.rowsContainer.innerHTML = '';
+      for (let i = 0; i < this.initialRows; i++) {
+        this.addRow();
+      }
+      this.summary.textContent = '';
+    }
 
-        newContent.querySelectorAll('[data-cc-animate]').forEach((el) => el.removeAttribute('data-cc-animate'));
+    addRow() {
+      this.rowsContainer.appendChild(this.rowTemplate.content.cloneNode(true));
+      return this.rowsContainer.lastElementChild;
+    }
 
-        theme.mergeNodes(newContent, this);
+    removeRow(row) {
+      const next = row.nextElementSibling || row.previousElementSibling;
+      row.remove();
+      if (!this.rowsContainer.children.length) {
+        this.addRow();
+      }
+      (next || this.rowsContainer.lastElementChild).querySelector('.quick-order__sku').focus();
+    }
 
-        // correct line indexes
-        Array.from(this.querySelectorAll('.cart-item__quantity-input')).
-        filter((el) => !el.closest('.merge-remove-item')).
-        forEach((el, index) => {
-          el.dataset.lineIndex = index + 1;
-          el.closest('.cart-item').dataset.index = index + 1;
-        });
+    // Reads 'sku,quantity' lines, separated by commas, semicolons or tabs. A heading row is skipped
+    parse(text) {
+      return text.split(/\r?\n/).
+      map((line) => line.split(/[,;\t]/).map((value) => value.trim().replace(/^"(.*)"$/, '$1').trim())).
+      filter((values, index) => {
+        if (!values[0]) return false;
+        return !(index === 0 && values[1] && isNaN(parseInt(values[1])));
+      }).
+      map((values) => ({ sku: values[0], quantity: values[1] ? parseInt(values[1]) : 1 })).
+      filter((line) => line.quantity > 0);
+    }
 
-        this.classList.remove('cart-form--refreshing');
-        this.querySelectorAll('.merge-item-refreshing').forEach((el) => el.classList.remove('merge-item-refreshing'));
+    // Fills the empty rows first, then adds more
+    importLines(lines) {
+      const emptyRows = Array.from(this.rowsContainer.children).
+      filter((row) => !row.querySelector('.quick-order__sku').value.trim());
 
-        theme.cartNoteMonitor.load($('[name="note"]', this));
+      lines.forEach((line) => {
+        const row = emptyRows.length ? emptyRows.shift() : this.addRow();
+        row.querySelector('.quick-order__sku').value = line.sku;
+        row.querySelector('.quick-order__quantity').value = line.quantity;
+        this.resolveRow(row);
       });
     }
 
-    adjustItemQuantity(item, change) {
-      const quantityInput = item.querySelector('.cart-item__quantity-input');
-      let newQuantity = parseInt(quantityInput.value);
+    resolveRow(row) {
+      const sku = row.querySelector('.quick-order__sku').value.trim();
+      if (sku === row.dataset.sku) return row.lookup;
 
-      if (typeof change.to !== 'undefined') {
-        newQuantity = change.to;
-      } else if (change.increase) {
-        newQuantity += quantityInput.step || 1;
-      } else if (change.decrease) {
-        newQuantity -= quantityInput.step || 1;
-      }
+      row.dataset.sku = sku;
+      delete row.dataset.added;
+      row.variant = null;
+      row.product = null;
+      row.querySelector('.quick-order__product').innerHTML = '';
+      row.querySelector('.quick-order__price').innerHTML = '';
 
-      if (quantityInput.max && newQuantity > parseInt(quantityInput.max)) {
-        newQuantity = parseInt(quantityInput.max);
+      if (!sku) {
+        this.setStatus(row, '');
+        row.lookup = Promise.resolve(null);
+        return row.lookup;
       }
 
-      // Set new quantity, then check if inventory quantity allows it. If not, set it back to its initial value
-      quantityInput.value = newQuantity;
+      this.setStatus(row, theme.strings.quickOrderLookingUp);
+      row.lookup = this.lookup(sku).then((match) => {
+        // The SKU may have been edited while this was in progress
+        if (row.dataset.sku !== sku) return row.lookup;
 
-      clearTimeout(this.adjustItemQuantityTimeout);
-      this.adjustItemQuantityTimeout = setTimeout(() => {var _this$querySelector;
-        this.querySelectorAll('.cart-item__quantity-input:not([disabled])').forEach((el) => {
-          if (el.value != el.dataset.initialValue) {
-            el.closest('[data-merge-list-item]').classList.add('merge-item-refreshing');
-          }
+        if (match) {
+          this.renderMatch(row, match);
+        } else {
+          this.setStatus(row, theme.strings.quickOrderNotFound, 'error');
+        }
+        return match;
+      });
+      return row.lookup;
+    }
+
+    // Resolves with { product, variant }, or null if no variant has this exact SKU
+    lookup(sku) {
+      const cacheKey = sku.toLowerCase();
+      if (!this.lookups[cacheKey]) {
+        const query = new URLSearchParams({
+          'q': sku,
+          'resources[type]': 'product',
+          'resources[limit]': 10,
+          'resources[options][fields]': 'variants.sku',
+          'resources[options][unavailable_products]': 'last'
         });
 
-        (_this$querySelector = this.querySelector('.cart-list')) === null || _this$querySelector === void 0 ? void 0 : _this$querySelector.classList.add('cart-list--loading');
-
-        fetch(`${window.Shopify.routes.root}cart/change.js`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ line: quantityInput.dataset.lineIndex, quantity: newQuantity })
+        this.lookups[cacheKey] = fetch(`${theme.routes.predictive_search_url}.json?${query.toString()}`).
+        then((response) => response.ok ? response.json() : null).
+        then((data) => {
+          const products = data && data.resources ? data.resources.results.products || [] : [];
+          return Promise.all(products.map((result) => {
+            return fetch(`${result.url.split('?')[0]}.js`).
+            then((response) => response.ok ? response.json() : null, () => null);
+          }));
         }).
-        then((response) => {
-          if (!response.ok) {
-            throw response;
+        then((products) => {
+          for (let i = 0; i < products.length; i++) {
+            const product = products[i];
+            const variant = product ? product.variants.find((v) => v.sku && v.sku.toLowerCase() === cacheKey) : null;
+            if (variant) {
+              return { product, variant };
+            }
           }
-          document.dispatchEvent(
-          new CustomEvent('theme:cartchanged', { bubbles: true, cancelable: false }));
+          return null;
+        }).
+        catch(() => {
+          delete this.lookups[cacheKey];
+          return null;
+        });
+      }
+      return this.lookups[cacheKey];
+    }
 
+    renderMatch(row, match) {
+      const productCell = row.querySelector('.quick-order__product');
+      const link = document.createElement('a');
+      link.href = `${match.product.url}?variant=${match.variant.id}`;
+      link.textContent = match.product.title;
+      productCell.appendChild(link);
 
-          // Update cart icon
-          $.get(theme.routes.cart_url, function (data) {
-            var cartUpdateSelector = '#site-control .cart:not(.nav-search)';
-            var $newCartObj = $($.parseHTML('<div>' + data + '</div>')).find(cartUpdateSelector);
-            $(cartUpdateSelector).each(function (index) {
-              $($newCartObj[index]).find('[data-cc-animate]').removeAttr('data-cc-animate');
-              $(this).replaceWith($newCartObj[index]);
-            });
-          });
-        }).
-        catch((error) => {
-          if (error instanceof Response) {
-            error.text().then((errorText) => {
-              try {
-                quantityInput.value = quantityInput.dataset.initialValue;
-
-                const errorMessage = JSON.parse(errorText).message;
-                const errorContainer = item.querySelector('.error-message');
-                errorContainer.innerText = errorMessage;
-
-                const slideDownAndFadeIn = () => {
-                  errorContainer.style.display = 'block';
-                  errorContainer.style.transition = 'height 0.5s ease-out, opacity 0.5s ease-out';
-                  errorContainer.offsetHeight;
-                  errorContainer.style.height = errorContainer.scrollHeight + 'px';
-                  errorContainer.style.opacity = '1';
-                };
+      if (match.product.variants.length > 1) {
+        const variantTitle = document.createElement('span');
+        variantTitle.className = 'quick-order__variant';
+        variantTitle.textContent = match.variant.public_title || match.variant.title;
+        productCell.appendChild(variantTitle);
+      }
 
-                slideDownAndFadeIn();
+      row.querySelector('.quick-order__price').innerHTML =
+      `<span class="theme-money">${theme.Shopify.formatMoney(match.variant.price, theme.money_format)}</span>`;
 
-                setTimeout(() => {
-                  errorContainer.style.height = '0';
-                  errorContainer.style.opacity = '0';
+      row.product = match.product;
+      row.variant = match.variant;
+      this.setStatus(row, this.getAvailability(match.variant));
+    }
 
-                  setTimeout(() => {
-                    errorContainer.style.display = 'none';
-                  }, 500);
+    getAvailability(variant) {
+      return variant.available ? theme.strings.quickOrderAvailable : theme.strings.quickOrderSoldOut;
+    }
 
-                }, 8000);
-              } catch (parseError) {
-                console.log('Error parsing JSON:', parseError);
-              }
-            });
+    setStatus(row, message, type) {
+      const status = row.querySelector('.quick-order__status');
+      status.textContent = message;
+      status.classList.toggle('quick-order__status--error', type === 'error');
+      status.classList.toggle('quick-order__status--success', type === 'success');
+    }
+
+    handleSubmit(evt) {
+      evt.preventDefault();
+      if (this.submitButton.disabled) return;
+
+      const rows = Array.from(this.rowsContainer.children).
+      filter((row) => row.querySelector('.quick-order__sku').value.trim());
+
+      this.submitButton.disabled = true;
+      this.summary.textContent = '';
+
+      Promise.all(rows.map((row) => this.resolveRow(row))).
+      then(() => {
+        const pending = rows.filter((row) => row.variant && !row.dataset.added);
+        if (!pending.length) {
+          this.summary.textContent = theme.strings.quickOrderNothingToAdd;
+          return null;
+        }
+
+        return this.addRows(pending).then((addedCount) => {
+          this.summary.textContent = theme.strings.quickOrderSummary.
+          replace('[[ added ]]', addedCount).
+          replace('[[ total ]]', pending.length);
+        });
+      }).
+      catch((error) => {
+        this.summary.textContent = error.message;
+      }).
+      then(() => {
+        this.submitButton.disabled = false;
+      });
+    }
+
+    // Resolves with the number of rows added in full
+    addRows(rows) {
+      const getQuantities = (cart) => cart.items.reduce((quantities, item) => {
+        quantities[item.variant_id] = (quantities[item.variant_id] || 0) + item.quantity;
+        return quantities;
+      }, {});
+
+      const items = rows.map((row) => ({
+        id: row.variant.id,
+        quantity: Math.max(parseInt(row.querySelector('.quick-order__quantity').value) || 1, 1)
+      }));
+
+      let before = null;
+      return theme.cart.get().
+      then((cart) => {
+        before = getQuantities(cart);
+        return theme.cart.addAll(items);
+      }).
+      then((failures) => {
+        // Shopify may add less than asked for, so share what was added between rows of the same variant
+        const after = getQuantities(theme.cart.state);
+        const added = {};
+        Object.keys(after).forEach((id) => {
+          added[id] = after[id] - (before[id] || 0);
+        });
+
+        let addedCount = 0;
+        rows.forEach((row, index) => {
+          const failure = failures.find((f) => f.index === index);
+          if (failure) {
+            this.setStatus(row, failure.error.description || failure.error.message, 'error');
+            return;
+          }
+
+          const item = items[index];
+          const quantity = Math.min(item.quantity, Math.max(added[item.id] || 0, 0));
+          added[item.id] = (added[item.id] || 0) - quantity;
+          row.dataset.added = true;
+
+          if (quantity < item.quantity) {
+            this.setStatus(row, theme.strings.quickOrderPartiallyAdded.replace('[[ quantity ]]', quantity), 'error');
+          } else {
+            addedCount++;
+            this.setStatus(row, theme.strings.quickOrderAdded, 'success');
           }
-        }).
-        finally(() => {var _this$querySelector2;
-          this.querySelectorAll('.merge-item-refreshing').forEach((el) => {
-            el.classList.remove('merge-item-refreshing');
-          });
-          (_this$querySelector2 = this.querySelector('.cart-list')) === null || _this$querySelector2 === void 0 ? void 0 : _this$querySelector2.classList.remove('cart-list--loading');
         });
-      }, newQuantity === 0 ? 10 : 700);
+        return addedCount;
+      });
     }
   };
 
-  window.customElements.define('cart-form', CartForm);
+  window.customElements.define('quick-order-form', QuickOrderForm);
   ;
   const CCFetchedContent = class extends HTMLElement {
     connectedCallback() {
@@ -4607,21 +7710,13 @@
     // If we have clicky boxes, add the disabled-state to options that have no valid variants
     if ($clickies.length > 0) {
       var productData = theme.OptionManager.getProductData($(container));
+      var variantIndex = theme.OptionManager.getVariantIndex(productData);
+
+      // each option, if every variant is known
+      for (var optionIndex = 0; variantIndex.complete && optionIndex < productData.options.length; optionIndex++) {
+        // whether each value for this option is available
+        var optionValues = variantIndex.anyAvailable[optionIndex];
 
-      // each option
-      for (var optionIndex = 0; optionIndex < productData.options.length; optionIndex++) {
-        // list each value for this option
-        var optionValues = {};
-        for (var variantIndex = 0; variantIndex < productData.variants.length; variantIndex++) {
-          var variant = productData.variants[variantIndex];
-          if (typeof optionValues[variant.options[optionIndex]] === 'undefined') {
-            optionValues[variant.options[optionIndex]] = false;
-          }
-          // mark true if an option is available
-          if (variant.available) {
-            optionValues[variant.options[optionIndex]] = true;
-          }
-        }
         // mark any completely unavailable options
         for (var key in optionValues) {
           if (!optionValues[key]) {
@@ -4758,8 +7853,6 @@
   };
 
   theme.applyAjaxToProductForm = function ($formContainer) {
-    var shopifyAjaxAddURL = theme.routes.cart_add_url + '.js';
-
     $formContainer.filter('[data-ajax-add-to-cart="true"]:not(.feedback-go_to_cart)').find('.product-purchase-form').on('submit', function (e) {
       e.preventDefault();
       var $form = $(this);
@@ -4776,7 +7869,7 @@
       }
 
       // Add to cart
-      $.post(shopifyAjaxAddURL, $form.serialize(), function (itemData) {
+      theme.cart.add(new FormData($form[0])).then(function (result) {
         // Enable add button
         $btn.html(theme.icons.tick + ' ' + theme.strings.productAddedToCart);
 
@@ -4792,7 +7885,7 @@
         }, 4000);
 
         if ($form.hasClass('feedback-add_in_modal') || $form.hasClass('feedback-add_in_modal_no_checkout')) {
-          const product = $.parseJSON(itemData);
+          const product = result.items[0];
           const noCheckoutButton = $form.hasClass('feedback-add_in_modal_no_checkout');
 
           //Preload the thumbnail image
@@ -4809,6 +7902,11 @@
             variantHtml += `<p class="cart-product__content__price">${$priceElem.html()}</p>`;
           }
 
+          const priceBreaks = $form.find('price-breaks')[0];
+          if (priceBreaks && !priceBreaks.hidden) {
+            variantHtml += `<p class="cart-product__content__meta">${priceBreaks.getTotalHtml(product.quantity, product.final_line_price)}</p>`;
+          }
+
           if (product.selling_plan_allocation && product.selling_plan_allocation.selling_plan.name) {
             variantHtml += `<p class="cart-product__content__meta">${product.selling_plan_allocation.selling_plan.name}</p>`;
           }
@@ -4862,6 +7960,23 @@
             }
           }
 
+          // A set shows as its bundle, with each line and the combined price
+          let productTitle = product.product_title;
+          const bundleId = theme.cartBundles.getBundleId(product);
+          const bundle = bundleId ? theme.cartBundles.get(result.cart, bundleId) : null;
+          if (bundle) {
+            productTitle = bundle.title;
+            variantHtml = `<p class="cart-product__content__price"><span class="theme-money">${theme.Shopify.formatMoney(bundle.price, theme.money_format_with_code_preference)}</span></p>`;
+            variantHtml += '<ul class="cart-product__bundle">';
+            bundle.lines.forEach((line) => {
+              const tempSpan = document.createElement('span');
+              tempSpan.innerText = line.title;
+              const share = line.quantity / bundle.quantity;
+              variantHtml += `<li class="cart-product__content__meta">${tempSpan.innerHTML}${share > 1 ? ` &times; ${share}` : ''}</li>`;
+            });
+            variantHtml += '</ul>';
+          }
+
           let offset = 25;
           const nav = theme.Nav();
           if (nav.bar.getPositionSetting() !== "inline") {
@@ -4873,41 +7988,55 @@
             imgAlt = product.featured_image.alt;
           }
 
+          // Terms must be agreed to before using the popup's checkout button
+          const termsTemplate = document.getElementById('added-to-cart-terms');
+          const termsHtml = termsTemplate && !noCheckoutButton ? termsTemplate.innerHTML : '';
+
           showThemeModal([
-          '<div id="added-to-cart" class="theme-modal theme-modal--small" role="dialog" aria-modal="true" aria-labelledby="added-to-cart-title">',
+          `<div id="added-to-cart" class="theme-modal theme-modal--small" role="dialog" aria-modal="true" aria-labelledby="added-to-cart-title" ${termsHtml ? 'data-terms-scope' : ''}>`,
           `<div class="inner" style="top:${offset}px">`,
           '<a href="#" data-modal-close class="modal-close">&times;</a>',
           '<h4 id="added-to-cart-title">' + theme.icons.tick + theme.strings.productAddedToCart + '</h4>',
           '<div class="cart-product">',
           `<div class="cart-product__image"><img src="${thumbUrl}" alt="${imgAlt}"/></div>`,
           '<div class="cart-product__content">' +
-          '<p class="cart-product__content__title">', product.product_title, '</p>' +
+          '<p class="cart-product__content__title">', productTitle, '</p>' +
           `${variantHtml ? variantHtml : ''}` +
           '</div>',
           '</div>',
+          theme.settings.freeShippingThreshold ? [
+          `<free-shipping-bar class="free-shipping-bar" data-threshold="${theme.settings.freeShippingThreshold}" data-currency="${result.cart.currency}">`,
+          '<p class="free-shipping-bar__message" aria-live="polite"></p>',
+          `<div class="free-shipping-bar__track" role="progressbar" aria-label="${theme.strings.freeShippingProgress}" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">`,
+          '<div class="free-shipping-bar__fill"></div>',
+          '</div>',
+          '</free-shipping-bar>'].
+          join('') : '',
+          termsHtml,
           `<p class="links ${noCheckoutButton ? 'links--no-checkout' : ''}">`,
           '<a href="' + theme.routes.cart_url + `" class="button ${noCheckoutButton ? '' : 'alt'}">` + theme.strings.viewCart + '</a>',
           '<a href="' + theme.routes.checkout + '" class="button button--checkout" [data-cc-checkout-button]>' + theme.strings.popupCheckout + '</a> ',
           '</p>',
           '</div>',
           '</div>'].
-          join(''), "added-to-cart", null);
+          join(''), "added-to-cart", function ($modal) {
+            const termsCheckbox = $modal[0].querySelector('[data-cart-terms-checkbox]');
+            if (termsCheckbox) {
+              termsCheckbox.checked = !!(result.cart.attributes && result.cart.attributes[theme.termsGate.attributeName]);
+            }
+          });
         } else if ($form.hasClass('feedback-add_and_redirect')) {
           window.location = theme.routes.cart_url;
           return;
-        }
+        } else if ($form.hasClass('feedback-drawer')) {
+          $btn.removeClass('adding');
 
-        // Update header (& cart if on cart)
-        $.get(theme.routes.cart_url, function (data) {
-          var cartUpdateSelector = '#site-control .cart:not(.nav-search), [data-section-type="cart-template"]';
-          var $newCartObj = $($.parseHTML('<div>' + data + '</div>')).find(cartUpdateSelector);
-          $(cartUpdateSelector).each(function (index) {
-            $($newCartObj[index]).find('[data-cc-animate]').removeAttr('data-cc-animate');
-            $(this).replaceWith($newCartObj[index]);
-            $(this).parent().find('[data-cc-animate]').removeAttr('data-cc-animate');
-          });
-        });
-      }, 'text').fail(function (data) {
+          const cartDrawer = document.querySelector('cart-drawer');
+          if (cartDrawer) {
+            cartDrawer.open();
+          }
+        }
+      }, function (error) {
 
         // Enable add button
         $btn.removeAttr('disabled').removeClass('confirmation').html($btn.data('originalHtml'));
@@ -4917,17 +8046,17 @@
         }
 
         // Not added, show message
-        if (typeof data !== 'undefined' && typeof data.status !== 'undefined') {
-          const response = $.parseJSON(data.responseText);
+        if (error.status) {
+          const response = error.response || {};
           const $statusMessageContainer = $form.find('.error-message');
-          let error = typeof response.description === 'string' ? response.description : response.message;
+          let message = typeof response.description === 'string' ? response.description : response.message;
           if (response.errors && typeof response.errors === 'object') {
-            error = Object.entries(response.errors).map((item) => item[1].join(', '));
+            message = Object.entries(response.errors).map((item) => item[1].join(', '));
           }
 
-          if (error) {
+          if (message) {
             $statusMessageContainer[0].innerHTML = '';
-            const errorArray = Array.isArray(error) ? error : [error];
+            const errorArray = Array.isArray(message) ? message : [message];
             errorArray.forEach((err, index) => {
               if (index > 0) $statusMessageContainer[0].insertAdjacentHTML('beforeend', '<br>');
               $statusMessageContainer[0].insertAdjacentText('beforeend', err);
@@ -4974,6 +8103,7 @@
       priceNonExistent: theme.strings.priceNonExistent,
       buttonDefault: theme.strings.buttonDefault,
       buttonPreorder: theme.strings.buttonPreorder,
+      buttonQuote: theme.strings.buttonQuote,
       buttonNoStock: theme.strings.buttonNoStock,
       buttonNoVariant: theme.strings.buttonNoVariant,
       unitPriceSeparator: theme.strings.unitPriceSeparator,
@@ -5010,6 +8140,109 @@
       return data;
     };
 
+    /*
+      Variant lookups by id and by option values, and which values of each option are available
+      after the values chosen for the options before it. Built once per product, so nothing scans
+      productData.variants when the selection changes.
+
+      Liquid only embeds the first 250 variants. For products with more, sections render
+      cc-product-variant-index-{id} and the rest are resolved on demand by fetchSelection.
+     */
+    _._variantIndexes = new WeakMap();
+
+    _._getOptionsKey = function (optionValues) {
+      return JSON.stringify(optionValues);
+    };
+
+    _.getVariantIndex = function (productData) {
+      let index = _._variantIndexes.get(productData);
+      if (index) return index;
+
+      const extraDataElement = document.getElementById('cc-product-variant-index-' + productData.id);
+      const extraData = extraDataElement ? JSON.parse(extraDataElement.textContent) : null;
+
+      index = {
+        complete: !extraData || extraData.variantsCount <= productData.variants.length,
+        url: extraData ? extraData.url : null,
+        optionValueIds: extraData ? extraData.optionValueIds : null,
+        byId: {},
+        byOptions: {},
+        values: productData.options.map(() => []),
+        anyAvailable: productData.options.map(() => ({})),
+        availability: {},
+        requests: {}
+      };
+      productData.variants.forEach((variant) => _._addToVariantIndex(index, variant));
+
+      _._variantIndexes.set(productData, index);
+      return index;
+    };
+
+    _._addToVariantIndex = function (index, variant) {
+      index.byId[variant.id] = variant;
+      index.byOptions[_._getOptionsKey(variant.options)] = variant;
+
+      variant.options.forEach((value, i) => {
+        if (!(value in index.anyAvailable[i])) {
+          index.values[i].push(value);
+        }
+        index.anyAvailable[i][value] = index.anyAvailable[i][value] || variant.available;
+
+        const prefixKey = _._getOptionsKey(variant.options.slice(0, i));
+        const availability = index.availability[prefixKey] = index.availability[prefixKey] || {};
+        availability[value] = availability[value] || variant.available;
+      });
+    };
+
+    _.getVariantById = function (productData, variantId) {
+      return _.getVariantIndex(productData).byId[variantId] || null;
+    };
+
+    _.getVariantByOptions = function (productData, optionValues) {
+      return _.getVariantIndex(productData).byOptions[_._getOptionsKey(optionValues)] || null;
+    };
+
+    // Resolves with the variant for these option values, or null, fetching it if it wasn't embedded.
+    // The availability of each option's values given this selection is recorded on the index too
+    _.fetchSelection = function (productData, optionValues) {
+      const index = _.getVariantIndex(productData);
+      const key = _._getOptionsKey(optionValues);
+      if (index.complete) {
+        return Promise.resolve(index.byOptions[key] || null);
+      }
+
+      if (!index.requests[key]) {
+        const ids = optionValues.map((value, i) => index.optionValueIds[i][value]);
+        index.requests[key] = fetch(`${index.url}?option_values=${ids.join(',')}&view=variant-data`).
+        then((response) => {
+          if (!response.ok) {
+            throw new Error(`HTTP error! Status: ${response.status}`);
+          }
+          return response.json();
+        }).
+        then((data) => {
+          data.options.forEach((values, i) => {
+            const availability = {};
+            values.forEach((optionValue) => {
+              availability[optionValue.value] = optionValue.available;
+            });
+            index.availability[_._getOptionsKey(optionValues.slice(0, i))] = availability;
+          });
+
+          if (data.variant && _._getOptionsKey(data.variant.options) === key && !index.byId[data.variant.id]) {
+            productData.variants.push(data.variant);
+            _._addToVariantIndex(index, data.variant);
+          }
+          return index.byOptions[key] || null;
+        }).
+        catch(() => {
+          delete index.requests[key];
+          return null;
+        });
+      }
+      return index.requests[key];
+    };
+
     _.getBaseUnit = function (variant) {
       return variant.unit_price_measurement.reference_value === 1 ?
       variant.unit_price_measurement.reference_unit :
@@ -5017,11 +8250,101 @@
       variant.unit_price_measurement.reference_unit;
     },
 
-    _.addVariantUrlToHistory = function (variant) {
-      if (variant) {
-        var newurl = window.location.protocol + '//' + window.location.host + window.location.pathname + '?variant=' + variant.id;
+    _.getHandle = function (value) {
+      return removeDiacritics(String(value)).toLowerCase().replace(/'/g, '').replace(/[^a-z0-9]+/g, '-').replace(/-+/g, '-').replace(/-*$/, '');
+    };
+
+    /*
+      The selected variant in the page address, as ?variant=123 or as handles of each option's name
+      and value, e.g. ?color=navy&size=m. Any other parameters are left as they are. Only the product
+      template (data-variant-url-style) uses option parameters; other forms set ?variant=123 alone.
+     */
+    _.addVariantUrlToHistory = function (variant, $productForm) {
+      if (variant && !($productForm && $productForm.data('variant-url-style'))) {
+        const newurl = window.location.protocol + '//' + window.location.host + window.location.pathname + '?variant=' + variant.id;
         window.history.replaceState({ path: newurl }, '', newurl);
+      } else if (variant) {
+        const productData = _.getProductData($productForm);
+        const url = new URL(window.location.href);
+
+        url.searchParams.delete('variant');
+        productData.options.forEach((name) => url.searchParams.delete(_.getHandle(name)));
+
+        if ($productForm.data('variant-url-style') === 'options' && $productForm.find(_.selectors.multiOption).length) {
+          variant.options.forEach((value, i) => {
+            url.searchParams.set(_.getHandle(productData.options[i]), _.getHandle(value));
+          });
+        } else {
+          url.searchParams.set('variant', variant.id);
+        }
+
+        const newurl = url.toString();
+        if (newurl === window.location.href) return;
+
+        if ($productForm.data('variant-url-push')) {
+          window.history.pushState({ path: newurl }, '', newurl);
+        } else {
+          window.history.replaceState({ path: newurl }, '', newurl);
+        }
+      }
+    };
+
+    // Option values chosen in a URL, with null for any it leaves out, or null if it chooses none
+    _.getSelectionFromUrl = function (productData, url) {
+      const params = new URL(url).searchParams;
+      const index = _.getVariantIndex(productData);
+      let chosen = false;
+
+      const selection = productData.options.map((name, i) => {
+        const param = params.get(_.getHandle(name));
+        if (param === null) return null;
+
+        // Values of variants that aren't embedded are only known by their ids
+        const values = index.optionValueIds ? Object.keys(index.optionValueIds[i]) : index.values[i];
+        const handle = _.getHandle(param);
+        const value = values.find((optionValue) => _.getHandle(optionValue) === handle);
+        if (value === undefined) return null;
+
+        chosen = true;
+        return value;
+      });
+      if (chosen) return selection;
+
+      const variant = params.has('variant') ? _.getVariantById(productData, params.get('variant')) : null;
+      return variant ? variant.options.slice() : null;
+    };
+
+    // Fills in the options a partial selection leaves out, preferring a variant that's available
+    _._completeSelection = function (productData, selection, currentOptions) {
+      const matches = productData.variants.filter((variant) => {
+        return selection.every((value, i) => value === null || variant.options[i] === value);
+      });
+      const variant = matches.find((match) => match.available) || matches[0];
+      if (variant) {
+        return variant.options.slice();
       }
+
+      // Not embedded, so keep the rest of the current selection and let the option change fetch it
+      return selection.map((value, i) => value === null ? currentOptions[i] : value);
+    };
+
+    _._getSelectedOptions = function ($productForm) {
+      return $productForm.find(_.selectors.multiOption).find('select').map(function () {
+        return $(this).val();
+      }).get();
+    };
+
+    // Selects these option values, without adding the result to history
+    _._applySelection = function ($productForm, optionValues) {
+      const $selects = $productForm.find(_.selectors.multiOption).find('select');
+      const currentOptions = _._getSelectedOptions($productForm);
+      if (_._getOptionsKey(currentOptions) === _._getOptionsKey(optionValues)) return;
+
+      $selects.each(function (i) {
+        $(this).val(optionValues[i]).trigger('change.clickyboxes');
+      });
+      $productForm.data('restoringSelection', _._getOptionsKey(optionValues));
+      $selects.last().trigger('change');
     };
 
     _.updateSku = function (variant, $container) {
@@ -5100,22 +8423,46 @@
       }
     };
 
+    // The variant's allocation for the selling plan chosen in the product form, if any
+    _.getSellingPlanAllocation = function (variant, $container) {
+      const sellingPlanId = $container.find('[name="selling_plan"]:not(:disabled)').val();
+      if (!variant || !sellingPlanId || !variant.selling_plan_allocations) {
+        return null;
+      }
+      return variant.selling_plan_allocations.find((allocation) => String(allocation.selling_plan_id) === sellingPlanId) || null;
+    };
+
     _.updatePrice = function (variant, $container) {
       var $priceArea = $container.find(_.selectors.priceArea);
       $priceArea.removeClass('on-sale');
 
       if (variant) {
+        const allocation = _.getSellingPlanAllocation(variant, $container);
+        const price = allocation ? allocation.price : variant.price;
+        const compareAtPrice = allocation ? allocation.compare_at_price : variant.compare_at_price;
+
         var $newPriceArea = $('<div>');
-        $('<span class="current-price theme-money">').html(theme.Shopify.formatMoney(variant.price, theme.money_format_with_code_preference)).appendTo($newPriceArea);
+        $('<span class="current-price theme-money">').html(theme.Shopify.formatMoney(price, theme.money_format_with_code_preference)).appendTo($newPriceArea);
         $newPriceArea.append(' ');
-        if (variant.compare_at_price > variant.price) {
-          $('<span class="was-price theme-money">').html(theme.Shopify.formatMoney(variant.compare_at_price, theme.money_format_with_code_preference)).appendTo($newPriceArea);
+        if (compareAtPrice > price) {
+          $('<span class="was-price theme-money">').html(theme.Shopify.formatMoney(compareAtPrice, theme.money_format_with_code_preference)).appendTo($newPriceArea);
           // $newPriceArea.append(' ');
           $priceArea.addClass('on-sale');
+
+          if (allocation) {
+            const percent = Math.round((compareAtPrice - price) * 100 / compareAtPrice);
+            $newPriceArea.append(' ');
+            $('<span class="selling-plan-savings">').text(theme.strings.sellingPlanSavings.replace('[[ percent ]]', percent)).appendTo($newPriceArea);
+          }
+        }
+        // Prepaid plans charge for several deliveries at once
+        if (allocation && allocation.per_delivery_price !== allocation.price) {
+          $('<div class="selling-plan-per-delivery">').html(theme.strings.sellingPlanPerDelivery.replace('[[ price ]]',
+          `<span class="theme-money">${theme.Shopify.formatMoney(allocation.per_delivery_price, theme.money_format)}</span>`)).appendTo($newPriceArea);
         }
         if (variant.unit_price_measurement) {
           var $newUnitPriceArea = $('<div class="unit-price">').appendTo($newPriceArea);
-          $('<span class="unit-price__price theme-money">').html(theme.Shopify.formatMoney(variant.unit_price, theme.money_format)).appendTo($newUnitPriceArea);
+          $('<span class="unit-price__price theme-money">').html(theme.Shopify.formatMoney(allocation && allocation.unit_price ? allocation.unit_price : variant.unit_price, theme.money_format)).appendTo($newUnitPriceArea);
           $('<span class="unit-price__separator">').html(_._getString('unitPriceSeparator')).appendTo($newUnitPriceArea);
           $('<span class="unit-price__unit">').html(_.getBaseUnit(variant)).appendTo($newUnitPriceArea);
         }
@@ -5145,7 +8492,9 @@
         $button.removeAttr('disabled');
 
 
-        if ($container.data('is-preorder')) {
+        if ($container.data('is-quote')) {
+          _._updateButtonText($button, 'Quote', variant);
+        } else if ($container.data('is-preorder')) {
           _._updateButtonText($button, 'Preorder', variant);
         } else {
           _._updateButtonText($button, 'Default', variant);
@@ -5169,42 +8518,7 @@
 
     _.updateVariantOptionStatusClasses = function (variant, $container) {
       const productData = _.getProductData($container);
-
-      //For the given array of option values, find variants which share the same options
-      function getMatchingVariants(optionValues) {
-        // console.log(`Finding variants with option values: ${optionValues}`);
-
-        let tempVariants = productData.variants;
-
-        let matchingVariants = tempVariants.filter((thisVariant) => {
-          let variantMatches = true;
-
-          for (let j = 0; j < optionValues.length; j++) {
-            if (thisVariant.options[j] !== optionValues[j]) {
-              variantMatches = false;
-              break;
-            }
-          }
-
-          return variantMatches;
-        });
-
-        return matchingVariants;
-      }
-
-      //Returns an object of all the possible values for the given option with each option set to false
-      function getAllValuesForOption(i) {
-        let allOptionValues = {};
-
-        for (var l = 0; l < productData.variants.length; l++) {
-          let value = productData.variants[l].options[i];
-          if (value) {
-            allOptionValues[value] = false;
-          }
-        }
-
-        return allOptionValues;
-      }
+      const index = _.getVariantIndex(productData);
 
       if (variant === false) {
         //The variant is unavailable, fabricate variant options based on the current selection
@@ -5213,46 +8527,42 @@
         };
 
         $container.find('.selector-wrapper a.active[data-value]').each(function () {
-          variant.options.push($(this).data('value'));
+          variant.options.push($(this).attr('data-value'));
         });
       }
 
       if (variant && variant.options && variant.options.length > 1) {
-        let optionValues = [...variant.options];
-        let optionStock = {};
+        const selectedOptions = variant.options;
+        const applyAvailability = () => {
+          $('.selector-wrapper', $container).each(function () {
+            const i = productData.options.indexOf($(this).attr('data-option-name'));
+            if (i === -1) return;
 
-        //Iterate the current variant option selection from the bottom up
-        for (let i = variant.options.length - 1; i >= 0; i--) {
-          optionValues.pop();
+            const availability = index.availability[_._getOptionsKey(selectedOptions.slice(0, i))] || {};
 
-          //Get an object of values for this option all with stock set to false
-          let optionAvailability = getAllValuesForOption(i);
+            index.values[i].forEach((value) => {
+              // Until fetched, values with no embedded variants are left as they were
+              if (!(value in availability) && !index.complete) return;
 
-          //Get variants which have the parent options
-          let matchingVariants = getMatchingVariants(optionValues);
+              $(this).find(`.clickyboxes .opt--${_.getHandle(value)}`).toggleClass('unavailable', !availability[value]);
+            });
+          });
+        };
 
-          //Check for in stock options within matching variants
-          for (let k = 0; k < matchingVariants.length; k++) {
-            if (matchingVariants[k].available) {
-              let value = matchingVariants[k].options[i];
-              if (value) {
-                optionAvailability[value] = true;
-              }
-            }
-          }
+        applyAvailability();
 
-          //Add this option value to the master object of availability for this variant
-          optionStock[productData.options[i]] = optionAvailability;
+        if (!index.complete) {
+          _.fetchSelection(productData, selectedOptions).then(() => {
+            // Only if the selection hasn't moved on since
+            const currentOptions = [];
+            $container.find('.selector-wrapper a.active[data-value]').each(function () {
+              currentOptions.push($(this).attr('data-value'));
+            });
+            if (_._getOptionsKey(currentOptions) === _._getOptionsKey(selectedOptions)) {
+              applyAvailability();
+            }
+          });
         }
-
-        //Update the UI to reflect stock
-        $('.selector-wrapper', $container).each(function () {
-          const optionName = $(this).data('option-name');
-          for (let [option, isAvailable] of Object.entries(optionStock[optionName])) {
-            option = removeDiacritics(option).toLowerCase().replace(/'/g, '').replace(/[^a-z0-9]+/g, '-').replace(/-+/g, '-').replace(/-*$/, '');
-            $(this).find(`.clickyboxes .opt--${option}`).toggleClass('unavailable', !isAvailable);
-          }
-        });
       }
     };
 
@@ -5269,29 +8579,40 @@
           selectedOptions.push($(this).val());
         });
         // find variant
-        var variant = false;
-        for (var i = 0; i < productData.variants.length; i++) {
-          var v = productData.variants[i];
-          var matchCount = 0;
-          for (var j = 0; j < selectedOptions.length; j++) {
-            if (v.options[j] == selectedOptions[j]) {
-              matchCount++;
-            }
-          }
-          if (matchCount == selectedOptions.length) {
-            variant = v;
-            break;
+        const selectVariant = (variant) => {
+          // trigger change
+          if (variant) {
+            // Fetched variants aren't in the original dropdown yet
+            $productForm.find(_.selectors.variantIdInputs).filter('select').each(function () {
+              if (!$(this).find('option[value="' + variant.id + '"]').length) {
+                $('<option>').val(variant.id).text(variant.title).appendTo(this);
+              }
+            });
+            $productForm.find(_.selectors.variantIdInputs).val(variant.id);
           }
+          // a jQuery event may not be picked up by all listeners
+          $productForm.find(_.selectors.variantIdInputs).each(function () {
+            this.dispatchEvent(
+            new CustomEvent('change', { bubbles: true, cancelable: false, detail: variant }));
+
+          });
+          $productForm.data('restoringSelection', null);
+        };
+
+        const variant = _.getVariantByOptions(productData, selectedOptions);
+        if (variant || _.getVariantIndex(productData).complete) {
+          $productForm.data('pendingSelection', null);
+          selectVariant(variant || false);
+          return;
         }
-        // trigger change
-        if (variant) {
-          $productForm.find(_.selectors.variantIdInputs).val(variant.id);
-        }
-        // a jQuery event may not be picked up by all listeners
-        $productForm.find(_.selectors.variantIdInputs).each(function () {
-          this.dispatchEvent(
-          new CustomEvent('change', { bubbles: true, cancelable: false, detail: variant }));
 
+        // Not embedded, so fetch it, unless the selection changes again first
+        const selectionKey = _._getOptionsKey(selectedOptions);
+        $productForm.data('pendingSelection', selectionKey);
+        _.fetchSelection(productData, selectedOptions).then((fetchedVariant) => {
+          if ($productForm.data('pendingSelection') === selectionKey) {
+            selectVariant(fetchedVariant || false);
+          }
         });
       });
 
@@ -5339,11 +8660,7 @@
           }
           var variant = e.detail;
           if (!variant && variant !== false) {
-            for (var i = 0; i < productData.variants.length; i++) {
-              if (productData.variants[i].id == $(this).val()) {
-                variant = productData.variants[i];
-              }
-            }
+            variant = _.getVariantById(productData, $(this).val());
           }
           var $container = $(this).closest(_.selectors.container);
 
@@ -5386,8 +8703,9 @@
           }
 
           // variant urls
-          if ($productForm.data('enable-history-state') && e.type == 'change') {
-            _.addVariantUrlToHistory(variant);
+          if ($productForm.data('enable-history-state') && e.type == 'change' && !(
+          variant && $productForm.data('restoringSelection') === _._getOptionsKey(variant.options))) {
+            _.addVariantUrlToHistory(variant, $productForm);
           }
 
           // notify quickbuy of content change
@@ -5401,6 +8719,20 @@
         $(this).trigger('firstrun');
       });
 
+      // select the variant chosen in the address, now and on back/forward (product template only)
+      if ($productForm.data('enable-history-state') && $productForm.data('variant-url-style') && $productForm.find(_.selectors.multiOption).length) {
+        const initialOptions = _._getSelectedOptions($productForm);
+        const selectFromUrl = () => {
+          const selection = _.getSelectionFromUrl(productData, window.location.href);
+          _._applySelection($productForm, selection ?
+          _._completeSelection(productData, selection, _._getSelectedOptions($productForm)) :
+          initialOptions);
+        };
+        selectFromUrl();
+        $productForm.data('popStateHandler', selectFromUrl);
+        $(window).on('popstate', selectFromUrl);
+      }
+
       // ajax
       theme.applyAjaxToProductForm($productForm);
     };
@@ -5408,12 +8740,503 @@
     _.unloadProductOptions = function ($productForm) {
       $productForm.removeClass('theme-init').each(function () {
         $(this).trigger('unloading').off('.themeProductOptions');
+        if ($(this).data('popStateHandler')) {
+          $(window).off('popstate', $(this).data('popStateHandler'));
+        }
         $(this).find(_.selectors.multiOption).off('.themeProductOptions');
         theme.removeAjaxFromProductForm($productForm);
       });
     };
   }();
   ;
+  /*
+    Variant grid block (sections/main-product.liquid). Lays the product's variants out with one option
+    as rows and the other as columns, each with its own quantity, and adds them all in one request.
+    Availability comes from the product JSON shared with theme.OptionManager.
+   */
+  const VariantMatrix = class extends HTMLElement {
+    connectedCallback() {
+      const data = JSON.parse(this.querySelector('[data-variant-matrix-data]').textContent);
+      this.rules = data.rules;
+      this.inventory = data.inventory;
+      this.product = theme.OptionManager.getProductData(null, this.dataset.productId);
+      this.lowStockThreshold = parseInt(this.dataset.lowStockThreshold) || 0;
+
+      this.table = this.querySelector('.variant-matrix__table');
+      this.errorMessage = this.querySelector('.variant-matrix__error');
+      this.quantityTotal = this.querySelector('.variant-matrix__quantity');
+      this.priceTotal = this.querySelector('.variant-matrix__price');
+      this.submitButton = this.querySelector('.variant-matrix__submit');
+
+      this.render();
+
+      this.addEventListener('input', this.updateTotals.bind(this));
+      this.addEventListener('change', this.handleChange.bind(this));
+      this.submitButton.addEventListener('click', this.addAll.bind(this));
+    }
+
+    getOptionIndex(name) {
+      return this.product.options.findIndex((option) => {
+        const optionName = typeof option === 'string' ? option : option.name;
+        return optionName.toLowerCase() === name.toLowerCase();
+      });
+    }
+
+    getOptionValues(index) {
+      return theme.OptionManager.getVariantIndex(this.product).values[index];
+    }
+
+    render() {
+      const rowIndex = this.getOptionIndex(this.dataset.rowOption);
+      const columnIndex = this.getOptionIndex(this.dataset.columnOption);
+      const rowValues = this.getOptionValues(rowIndex);
+      const columnValues = this.getOptionValues(columnIndex);
+      const showPrices = this.product.price_varies;
+
+      const head = this.table.createTHead().insertRow();
+      head.appendChild(document.createElement('td'));
+      columnValues.forEach((value) => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = value;
+        head.appendChild(th);
+      });
+
+      const body = this.table.createTBody();
+      rowValues.forEach((rowValue) => {
+        const row = body.insertRow();
+        const th = document.createElement('th');
+        th.scope = 'row';
+        th.textContent = rowValue;
+        row.appendChild(th);
+
+        columnValues.forEach((columnValue) => {
+          const cell = row.insertCell();
+          const options = [];
+          options[rowIndex] = rowValue;
+          options[columnIndex] = columnValue;
+          const variant = theme.OptionManager.getVariantByOptions(this.product, options);
+          cell.className = 'variant-matrix__cell';
+          if (variant) {
+            this.renderCell(cell, variant, `${rowValue} / ${columnValue}`, showPrices);
+          } else {
+            cell.classList.add('variant-matrix__cell--none');
+          }
+        });
+      });
+    }
+
+    renderCell(cell, variant, label, showPrice) {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.className = 'variant-matrix__input select-on-focus';
+      input.min = 0;
+      input.value = 0;
+      input.inputMode = 'numeric';
+      input.dataset.variantId = variant.id;
+      input.setAttribute('aria-label', label);
+      if (this.rules[variant.id]) {
+        theme.quantityRules.setRule(input, this.rules[variant.id]);
+      }
+      cell.appendChild(input);
+
+      let hint = null;
+      const stock = this.inventory[variant.id];
+      if (!variant.available) {
+        input.disabled = true;
+        cell.classList.add('variant-matrix__cell--unavailable');
+        hint = theme.strings.priceSoldOut;
+      } else if (typeof stock === 'number') {
+        input.max = stock;
+        if (stock <= this.lowStockThreshold) {
+          hint = theme.strings.onlyXLeft.replace('[[ quantity ]]', stock);
+        }
+      }
+
+      if (showPrice) {
+        const price = document.createElement('span');
+        price.className = 'variant-matrix__cell-price theme-money';
+        price.innerHTML = theme.Shopify.formatMoney(variant.price, theme.money_format);
+        cell.appendChild(price);
+      }
+
+      if (hint) {
+        const hintElement = document.createElement('span');
+        hintElement.className = 'variant-matrix__hint';
+        hintElement.textContent = hint;
+        cell.appendChild(hintElement);
+      }
+    }
+
+    getInputs() {
+      return Array.from(this.querySelectorAll('.variant-matrix__input:not(:disabled)'));
+    }
+
+    // Quantities are moved to the nearest allowed value, as in product forms
+    handleChange(evt) {
+      const input = evt.target.closest('.variant-matrix__input');
+      if (!input) return;
+
+      const quantity = parseInt(input.value) || 0;
+      const rule = theme.quantityRules.getRule(input);
+      const allowed = theme.quantityRules.normalise(quantity, rule);
+      this.errorMessage.textContent = quantity === allowed ? '' : theme.quantityRules.getMessage(quantity, rule) || '';
+      input.value = allowed;
+      this.updateTotals();
+    }
+
+    updateTotals() {
+      let quantity = 0;
+      let price = 0;
+      this.getInputs().forEach((input) => {
+        const inputQuantity = Math.max(parseInt(input.value) || 0, 0);
+        const variant = theme.OptionManager.getVariantById(this.product, input.dataset.variantId);
+        quantity += inputQuantity;
+        price += inputQuantity * variant.price;
+      });
+
+      this.quantityTotal.textContent = quantity;
+      this.priceTotal.innerHTML = theme.Shopify.formatMoney(price, theme.money_format);
+      this.submitButton.disabled = quantity === 0;
+    }
+
+    addAll() {
+      const items = this.getInputs().
+      filter((input) => parseInt(input.value) > 0).
+      map((input) => ({ id: parseInt(input.dataset.variantId), quantity: parseInt(input.value) }));
+      if (!items.length) return;
+
+      const cartType = this.dataset.cartType;
+      const buttonHtml = this.submitButton.innerHTML;
+      this.submitButton.disabled = true;
+      this.submitButton.classList.add('confirmation', 'adding');
+      this.submitButton.innerHTML = theme.strings.productAddingToCart;
+      this.errorMessage.textContent = '';
+
+      theme.cart.add(items).then(() => {
+        if (cartType === 'add_and_redirect' || cartType === 'go_to_cart') {
+          window.location = theme.routes.cart_url;
+          return;
+        }
+
+        this.submitButton.classList.remove('adding');
+        this.submitButton.innerHTML = `${theme.icons.tick} ${theme.strings.productAddedToCart}`;
+        this.getInputs().forEach((input) => {
+          input.value = 0;
+        });
+
+        if (cartType === 'drawer') {
+          const cartDrawer = document.querySelector('cart-drawer');
+          if (cartDrawer) {
+            cartDrawer.open();
+          }
+        }
+
+        setTimeout(() => {
+          this.submitButton.classList.remove('confirmation');
+          this.submitButton.innerHTML = buttonHtml;
+          this.updateTotals();
+        }, 4000);
+      }, (error) => {
+        this.submitButton.classList.remove('confirmation', 'adding');
+        this.submitButton.innerHTML = buttonHtml;
+        this.submitButton.disabled = false;
+        this.errorMessage.textContent = error.description || error.message;
+      });
+    }
+  };
+
+  window.customElements.define('variant-matrix', VariantMatrix);
+  ;
+  /*
+    Back in stock form (snippets/back-in-stock-form.liquid). Follows the selected variant, showing
+    only while it's sold out, and remembers which variants have been requested in this browser so
+    each is only sent once. Sent with fetch, falling back to a normal submit for the spam challenge.
+   */
+  const BackInStockForm = class extends HTMLElement {
+    connectedCallback() {
+      this.form = this.querySelector('form');
+      this.fields = this.querySelector('.back-in-stock__fields');
+      this.success = this.querySelector('.back-in-stock__success');
+      this.error = this.querySelector('.back-in-stock__error');
+      this.submitButton = this.querySelector('.back-in-stock__submit');
+      this.variantIdInput = this.querySelector('[data-back-in-stock-variant-id]');
+      this.variantTitleInput = this.querySelector('[data-back-in-stock-variant-title]');
+
+      this.container = $(this).closest('[data-product-id]');
+      this.container.on('variantChanged.backInStock', (evt, variant) => this.update(variant));
+      this.form.addEventListener('submit', this.handleSubmit.bind(this));
+
+      // Sent without JavaScript, e.g. after the spam challenge
+      if (!this.success.hidden) {
+        this.setRequested(this.variantIdInput.value);
+      }
+      this.showRequested(this.hasRequested(this.variantIdInput.value));
+    }
+
+    disconnectedCallback() {
+      if (this.container) {
+        this.container.off('variantChanged.backInStock');
+      }
+    }
+
+    update(variant) {
+      this.hidden = !variant || variant.available;
+      if (this.hidden) return;
+
+      this.variantIdInput.value = variant.id;
+      this.variantTitleInput.value = variant.title === 'Default Title' ?
+      this.dataset.productTitle :
+      `${this.dataset.productTitle} - ${variant.title}`;
+      this.error.hidden = true;
+      this.showRequested(this.hasRequested(variant.id));
+    }
+
+    getRequested() {
+      try {
+        return LocalStorageUtil.get('cc-back-in-stock', true) || [];
+      } catch (e) {
+        return [];
+      }
+    }
+
+    hasRequested(variantId) {
+      return this.getRequested().indexOf(String(variantId)) >= 0;
+    }
+
+    setRequested(variantId) {
+      const requested = this.getRequested();
+      if (requested.indexOf(String(variantId)) === -1) {
+        requested.push(String(variantId));
+        LocalStorageUtil.set('cc-back-in-stock', requested);
+      }
+    }
+
+    showRequested(requested) {
+      this.success.hidden = !requested;
+      this.fields.hidden = requested;
+    }
+
+    handleSubmit(evt) {
+      evt.preventDefault();
+
+      const variantId = this.variantIdInput.value;
+      this.submitButton.disabled = true;
+      this.error.hidden = true;
+
+      fetch(this.form.action, {
+        method: 'POST',
+        body: new FormData(this.form)
+      }).
+      then((response) => {
+        // Shopify may ask for a captcha first, which needs the full page
+        if (response.url.indexOf('/challenge') >= 0) {
+          HTMLFormElement.prototype.submit.call(this.form);
+          return;
+        }
+
+        if (!response.ok || response.url.indexOf('contact_posted=true') === -1) {
+          throw new Error(`Contact form not posted. Status: ${response.status}`);
+        }
+
+        this.setRequested(variantId);
+        if (this.variantIdInput.value === variantId) {
+          this.showRequested(true);
+        }
+      }).
+      catch(() => {
+        this.error.hidden = false;
+      }).
+      then(() => {
+        this.submitButton.disabled = false;
+      });
+    }
+  };
+
+  window.customElements.define('back-in-stock-form', BackInStockForm);
+  ;
+  /*
+    Selling plan choice in product forms (snippets/selling-plan-selector.liquid). Keeps the form's
+    selling_plan input matching the chosen group and plan, only offers plans allocated to the selected
+    variant, and has theme.OptionManager show the price for the chosen plan.
+   */
+  const SellingPlanSelector = class extends HTMLElement {
+    connectedCallback() {
+      this.input = this.querySelector('[name="selling_plan"]');
+      this.oneTimeRadio = this.querySelector('.selling-plans__radio[value=""]');
+      this.groups = Array.from(this.querySelectorAll('[data-selling-plan-group]'));
+      this.container = $(this).closest(theme.OptionManager.selectors.container);
+
+      this.addEventListener('change', this.handleChange.bind(this));
+      this.container.on('variantChanged.sellingPlans', (evt, variant) => {
+        if (variant) {
+          this.update(variant);
+        }
+      });
+    }
+
+    disconnectedCallback() {
+      this.container.off('.sellingPlans');
+    }
+
+    getGroupRadio(group) {
+      return group.querySelector('.selling-plans__radio');
+    }
+
+    getGroupSelect(group) {
+      return group.querySelector('.selling-plans__plans');
+    }
+
+    getVariant() {
+      const productData = theme.OptionManager.getProductData(this.container);
+      const variantId = this.container.find(theme.OptionManager.selectors.variantIdInputs).filter('select, :checked, [type=hidden]').first().val();
+      return theme.OptionManager.getVariantById(productData, variantId);
+    }
+
+    handleChange(evt) {
+      // Choosing a plan chooses its group
+      if (evt.target.classList.contains('selling-plans__plans')) {
+        this.getGroupRadio(evt.target.closest('[data-selling-plan-group]')).checked = true;
+      }
+
+      this.updateInput();
+      const variant = this.getVariant();
+      if (variant) {
+        theme.OptionManager.updatePrice(variant, this.container);
+      }
+    }
+
+    update(variant) {
+      const allocatedIds = (variant.selling_plan_allocations || []).map((allocation) => String(allocation.selling_plan_id));
+
+      this.groups.forEach((group) => {
+        const select = this.getGroupSelect(group);
+        Array.from(select.options).forEach((option) => {
+          option.disabled = allocatedIds.indexOf(option.value) === -1;
+          option.hidden = option.disabled;
+        });
+
+        const firstAllocated = Array.from(select.options).find((option) => !option.disabled);
+        if (select.selectedOptions[0] && select.selectedOptions[0].disabled && firstAllocated) {
+          $(select).val(firstAllocated.value).trigger('keyup'); // updates a replaced select's text
+        }
+
+        group.hidden = !firstAllocated;
+        if (group.hidden) {
+          this.getGroupRadio(group).checked = false;
+        }
+      });
+
+      // Fall back to a one-time purchase, or the first plan if the product requires one
+      if (!this.querySelector('.selling-plans__radio:checked')) {
+        const fallback = this.oneTimeRadio || this.groups.filter((group) => !group.hidden).map((group) => this.getGroupRadio(group))[0];
+        if (fallback) {
+          fallback.checked = true;
+        }
+      }
+
+      this.hidden = !this.groups.some((group) => !group.hidden);
+      this.updateInput();
+      theme.OptionManager.updatePrice(variant, this.container);
+    }
+
+    updateInput() {
+      const radio = this.querySelector('.selling-plans__radio:checked');
+      const group = radio ? radio.closest('[data-selling-plan-group]') : null;
+      this.input.value = group ? this.getGroupSelect(group).value : '';
+      this.input.disabled = !group || this.hidden;
+    }
+  };
+
+  window.customElements.define('selling-plan-selector', SellingPlanSelector);
+  ;
+  /*
+    Volume price table in product forms (snippets/price-breaks.liquid). Shows the selected variant's
+    tiers, highlights the one the form's quantity is in, and the line total at that tier's price.
+   */
+  const PriceBreaks = class extends HTMLElement {
+    connectedCallback() {
+      this.tiers = JSON.parse(this.querySelector('[data-price-breaks]').textContent);
+      this.tbody = this.querySelector('.price-breaks__table tbody');
+      this.lineTotal = this.querySelector('.price-breaks__line-total');
+      this.unitPrice = this.querySelector('.price-breaks__unit-price');
+      this.quantityInput = this.closest('form').querySelector('[name="quantity"]');
+      this.container = $(this).closest(theme.OptionManager.selectors.container);
+
+      this.boundUpdate = this.update.bind(this);
+      this.quantityInput.addEventListener('input', this.boundUpdate);
+      this.quantityInput.addEventListener('change', this.boundUpdate);
+      this.container.on('variantChanged.priceBreaks', (evt, variant) => {
+        if (variant) {
+          this.setVariant(variant.id);
+        }
+      });
+
+      this.setVariant(this.dataset.variantId);
+    }
+
+    disconnectedCallback() {
+      this.quantityInput.removeEventListener('input', this.boundUpdate);
+      this.quantityInput.removeEventListener('change', this.boundUpdate);
+      this.container.off('.priceBreaks');
+    }
+
+    setVariant(variantId) {
+      this.variantTiers = this.tiers[variantId] || [];
+      this.hidden = this.variantTiers.length < 2;
+      this.render();
+      this.update();
+    }
+
+    render() {
+      this.tbody.innerHTML = '';
+      this.variantTiers.forEach((tier) => {
+        const row = this.tbody.insertRow();
+        row.className = 'price-breaks__tier';
+        row.insertCell().textContent = theme.strings.priceBreaksTier.replace('[[ quantity ]]', tier.quantity);
+        const priceCell = row.insertCell();
+        priceCell.className = 'theme-money';
+        priceCell.innerHTML = theme.Shopify.formatMoney(tier.price, theme.money_format);
+      });
+    }
+
+    getQuantity() {
+      return Math.max(parseInt(this.quantityInput.value) || 1, 1);
+    }
+
+    // The last tier the quantity reaches, as tiers are in order of quantity
+    getTier(quantity) {
+      return this.variantTiers.filter((tier) => quantity >= tier.quantity).pop() || this.variantTiers[0];
+    }
+
+    getEachHtml(tier) {
+      return theme.strings.priceBreaksEach.replace('[[ price ]]',
+      `<span class="theme-money">${theme.Shopify.formatMoney(tier.price, theme.money_format)}</span>`);
+    }
+
+    // For the added-to-cart popup, from the cart line as it may hold more than was just added
+    getTotalHtml(quantity, linePrice) {
+      const tier = this.getTier(quantity);
+      const total = theme.Shopify.formatMoney(linePrice, theme.money_format);
+      return `${this.querySelector('.price-breaks__total-label').innerHTML}: <span class="theme-money">${total}</span> ${this.getEachHtml(tier)}`;
+    }
+
+    update() {
+      if (this.hidden) return;
+
+      const quantity = this.getQuantity();
+      const tier = this.getTier(quantity);
+      Array.from(this.tbody.rows).forEach((row, i) => {
+        row.classList.toggle('price-breaks__tier--active', this.variantTiers[i] === tier);
+      });
+
+      this.lineTotal.innerHTML = theme.Shopify.formatMoney(tier.price * quantity, theme.money_format);
+      this.unitPrice.innerHTML = this.getEachHtml(tier);
+    }
+  };
+
+  window.customElements.define('price-breaks', PriceBreaks);
+  ;
   theme.addControlPaddingToModal = function () {
     $('.theme-modal.reveal > .inner').css('padding-top', theme.Nav().bar.height());
   };
@@ -6258,9 +10081,114 @@
     };
   }();
 
+  /*
+    Variant-specific content in the product section. Regions marked data-merge="variant-content-..."
+    are rendered for each selected variant through the section rendering API and merged in with
+    theme.mergeNodes. Rendered regions are cached by variant id, so returning to a variant is instant.
+   */
+  theme.VariantContent = function ($container) {
+    this.$container = $container;
+    this.url = $container.data('variant-content-url');
+    this.sectionId = $container.data('variant-content-section-id');
+    this.variantId = String($container.data('variant-content-variant-id'));
+    this.components = ($container.data('components') || '').split(',').filter(Boolean);
+    this.cache = {};
+
+    // What the page shows now, so the first change only touches regions that differ
+    this.shownRegions = this.getRegions($container[0]);
+
+    $container.on('variantChanged.variantContent', (evt, variant) => {
+      if (variant) {
+        this.update(String(variant.id));
+      }
+    });
+  };
+
+  theme.VariantContent.prototype.getRegions = function (source) {
+    const regions = document.createElement('div');
+    source.querySelectorAll('[data-merge^="variant-content-"]').forEach((region) => {
+      // Only regions this page has, e.g. not those removed from quickbuy
+      if (this.$container[0].querySelector(`[data-merge="${region.dataset.merge}"]`)) {
+        regions.appendChild(region.cloneNode(true));
+      }
+    });
+    regions.querySelectorAll('[data-cc-animate]').forEach((el) => el.removeAttribute('data-cc-animate'));
+    return regions;
+  };
+
+  // What a region shows, ignoring the classes and attributes that components and lazy loading add
+  theme.VariantContent.prototype.getSignature = function (region) {
+    const media = Array.from(region.querySelectorAll('img, source, video, iframe')).map((el) => {
+      return `${el.dataset.src || el.getAttribute('src')} ${el.dataset.srcset || el.getAttribute('srcset')}`;
+    });
+    return [region.textContent.replace(/\s+/g, ' ').trim()].concat(media).join('|');
+  };
+
+  theme.VariantContent.prototype.fetchRegions = function (variantId) {
+    if (!this.cache[variantId]) {
+      this.cache[variantId] = fetch(`${this.url}?variant=${variantId}&section_id=${this.sectionId}`).
+      then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP error! Status: ${response.status}`);
+        }
+        return response.text();
+      }).
+      then((html) => {
+        const newContent = document.createElement('div');
+        newContent.innerHTML = html;
+        return this.getRegions(newContent);
+      }).
+      catch((error) => {
+        delete this.cache[variantId];
+        throw error;
+      });
+    }
+    return this.cache[variantId];
+  };
+
+  theme.VariantContent.prototype.update = function (variantId) {
+    if (variantId === this.variantId) return;
+    this.variantId = variantId;
+
+    this.fetchRegions(variantId).then((regions) => {
+      if (this.variantId !== variantId) return;
+
+      // Leave regions that are the same for both variants alone, e.g. keeping accordions open
+      const changedRegions = document.createElement('div');
+      Array.from(regions.children).forEach((region) => {
+        const shownRegion = this.shownRegions.querySelector(`[data-merge="${region.dataset.merge}"]`);
+        if (!shownRegion || this.getSignature(shownRegion) !== this.getSignature(region)) {
+          changedRegions.appendChild(region.cloneNode(true));
+        }
+      });
+      this.shownRegions = regions;
+
+      const targets = Array.from(changedRegions.children).map((region) => {
+        return this.$container[0].querySelector(`[data-merge="${region.dataset.merge}"]`);
+      });
+      targets.forEach((target) => {
+        this.components.forEach((component) => $(document).trigger('cc:component:unload', [component, target]));
+      });
+
+      theme.mergeNodes(changedRegions, this.$container[0]);
+
+      // Tabs, accordions etc. in the new content
+      targets.forEach((target) => {
+        this.components.forEach((component) => $(document).trigger('cc:component:load', [component, target]));
+      });
+    }).catch(() => {
+      // Keep showing the content already on the page
+    });
+  };
+
+  theme.VariantContent.prototype.destroy = function () {
+    this.$container.off('.variantContent');
+  };
+
   theme.ProductTemplateSection = new function () {
     const nav = theme.Nav();
     let galleries = {};
+    let variantContents = {};
 
     this.onSectionLoad = function (target) {let isQuickbuy = arguments.length > 1 && arguments[1] !== undefined ? arguments[1] : false;
       const sectionUniqueId = new Date().getTime();
@@ -6333,6 +10261,11 @@
       /// Boxed-options (do before initProductOptions - which applies classes to these boxes)
       theme.convertOptionsToBoxes(target);
 
+      /// Variant-specific content (before initProductOptions, which may select a variant from the URL)
+      if ($(target).data('variant-content-url')) {
+        variantContents[sectionUniqueId] = new theme.VariantContent($(target));
+      }
+
       /// Product options
       theme.OptionManager.initProductOptions($(target));
 
@@ -6387,6 +10320,11 @@
 
       theme.OptionManager.unloadProductOptions($(target));
 
+      if (variantContents[sectionUniqueId]) {
+        variantContents[sectionUniqueId].destroy();
+        delete variantContents[sectionUniqueId];
+      }
+
       if (galleries[sectionUniqueId]) {
         galleries[sectionUniqueId].destroy();
       } else {
@@ -6657,22 +10595,27 @@
 
   theme.CartTemplateSection = new function () {
     this.onSectionLoad = function (target) {
-      theme.cartNoteMonitor.load($('#cartform [name="note"]', target));
+      theme.cartNoteMonitor.load($('#cartform [data-cart-note]', target));
+    };
 
-      // terms and conditions checkbox
-      if ($('#cartform input#terms', target).length > 0) {
-        $(document).on('click.cartTemplateSection', '#cartform [name="checkout"]:submit, .additional-checkout-buttons :submit, .additional-checkout-buttons input[type=image], a[href="/checkout"]', function () {
-          if ($('#cartform input#terms:checked').length == 0) {
-            alert(theme.strings.cartConfirmation);
-            return false;
-          }
-        });
+    this.onSectionUnload = function (target) {
+      theme.cartNoteMonitor.unload($('#cartform [data-cart-note]', target));
+    };
+  }();
+
+  theme.CartDrawerSection = new function () {
+    this.onSectionSelect = function (target) {
+      const cartDrawer = target.querySelector('cart-drawer');
+      if (cartDrawer) {
+        cartDrawer.open();
       }
     };
 
-    this.onSectionUnload = function (target) {
-      theme.cartNoteMonitor.unload($('#cartform [name="note"]', target));
-      $(document).off('.cartTemplateSection');
+    this.onSectionDeselect = function (target) {
+      const cartDrawer = target.querySelector('cart-drawer');
+      if (cartDrawer) {
+        cartDrawer.close();
+      }
     };
   }();
 
@@ -7748,8 +11691,9 @@
 
     $(document).on('click', '.quantity-wrapper [data-quantity]', function () {
       var adj = $(this).data('quantity') == 'up' ? 1 : -1;
-      var $qty = $(this).closest('.quantity-wrapper').find('[name=quantity]');
-      $qty.val(Math.max(1, parseInt($qty.val()) + adj));
+      var qty = $(this).closest('.quantity-wrapper').find('[name=quantity]')[0];
+      var rule = theme.quantityRules.getRule(qty);
+      theme.quantityRules.adjustFormQuantity(qty, Math.max(rule.min, parseInt(qty.value) + adj * rule.increment));
       return false;
     });
 
@@ -7777,6 +11721,9 @@
       }
     }
 
+    /// Add the items from a shared cart link
+    theme.sharedCart.handleLink();
+
     /// Detect android for 100vh fix
     if (navigator.userAgent.toLowerCase().indexOf("android") > -1) {
       $('html').addClass('os-android');
@@ -7931,6 +11878,7 @@
     theme.Sections.register('article-template', theme.ArticleTemplateSection, { deferredLoad: false });
     theme.Sections.register('list-collections', theme.ListCollectionsSection, { deferredLoadViewportExcess });
     theme.Sections.register('cart-template', theme.CartTemplateSection, { deferredLoad: false });
+    theme.Sections.register('cart-drawer', theme.CartDrawerSection, { deferredLoad: false });
     theme.Sections.register('product-recommendations', theme.ProductRecommendations, { deferredLoadViewportExcess });
     theme.Sections.register('gallery', theme.GallerySection, { deferredLoadViewportExcess });
     theme.Sections.register('testimonials', theme.TestimonialsSection, { deferredLoadViewportExcess });